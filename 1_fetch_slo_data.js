@@ -6,11 +6,22 @@
 // This is the first task in the workflow. It gathers all
 // data needed by the build_markdown_email task.
 //
+// Independent API requests run in parallel (see
+// fetch.maxConcurrentRequests); the duration of each
+// phase is returned as "timings".
+//
+// Transient API errors are retried; requests that still
+// fail are returned as "diagnostics", and the task fails
+// when too many requests of one stage failed (see
+// fetch.dataQuality).
+//
 // SDK Clients Used:
-//   - serviceLevelObjectivesClient: SLO status and targets
-//   - rumUserSessionsClient: USQL queries for user action metrics
-//   - monitoredEntitiesClient: Entity ID lookups for deep links
-//   - metricsClient: Synthetic monitor availability
+//   - serviceLevelObjectivesClient: SLO status, targets and burn rates
+//   - rumUserSessionsClient: USQL queries for user action metrics and segments
+//   - monitoredEntitiesClient: Application, user action and entity ID lookups
+//   - metricsClient: Synthetic monitor availability and daily SLO status
+//   - problemsClient / eventsClient: Problems and deployments of failing SLOs
+//   - documentsClient: Report snapshots for week-over-week comparison
 // ============================================
 
 import { execution } from '@dynatrace-sdk/automation-utils';
@@ -18,45 +29,1040 @@ import { serviceLevelObjectivesClient } from '@dynatrace-sdk/client-classic-envi
 import { rumUserSessionsClient } from '@dynatrace-sdk/client-classic-environment-v2';
 import { monitoredEntitiesClient } from '@dynatrace-sdk/client-classic-environment-v2';
 import { metricsClient } from '@dynatrace-sdk/client-classic-environment-v2';
+import { problemsClient } from '@dynatrace-sdk/client-classic-environment-v2';
+import { eventsClient } from '@dynatrace-sdk/client-classic-environment-v2';
+import { documentsClient } from '@dynatrace-sdk/client-document';
 
 export default async function ({ execution_id }) {
 
   // ============================================
   // CONFIGURATION
-  // TODO: Update all values below for your domain
+  // Every task reads its settings from one config object,
+  // supplied as workflow input, so the task scripts can be
+  // pasted in unmodified:
+  //   - input "config": the config object itself, or
+  //   - input "configDocument": name of a Dynatrace document
+  //     holding the config as JSON (e.g. shared by workflows)
+  // The config is validated against configSchema below before
+  // anything is fetched; settings left out get their defaults.
+  // The validated config is returned as "config" and read by
+  // build_markdown_email, create_tickets and send_chat_report.
+  // See the "input" of slo-report-template.workflow.json for
+  // a complete example.
   // ============================================
 
-  // TODO: Add your SLO IDs here
-  // Find these in Dynatrace: Service Level Objectives page > click SLO > ID in URL
-  const sloIds = [
-    // "your-slo-id-1",  // e.g., Application Apdex
-    // "your-slo-id-2",  // e.g., Error-Free Rate
-    // "your-slo-id-3",  // e.g., Key UA Performance
+  // Schema builders: type, default and constraints of one setting
+  const string = (defaultValue, options) => Object.assign({ type: "string", default: defaultValue }, options);
+  const number = (defaultValue, options) => Object.assign({ type: "number", default: defaultValue }, options);
+  const boolean = (defaultValue) => ({ type: "boolean", default: defaultValue });
+  const array = (items, defaultValue) => ({ type: "array", items: items, default: defaultValue || [] });
+  const object = (properties) => ({ type: "object", properties: properties });
+  const map = (values) => ({ type: "map", values: values, default: {} });
+  const required = (schema) => Object.assign({}, schema, { required: true });
+
+  const URL_PATTERN = { pattern: /^https?:\/\/\S+$/, hint: "an http(s) URL" };
+  const URL_PATTERN_OR_EMPTY = { pattern: /^(https?:\/\/\S+)?$/, hint: "an http(s) URL or \"\"" };
+  const EMAIL_PATTERN = { pattern: /^[^@\s]+@[^@\s]+$/, hint: "an email address" };
+  const CREDENTIAL_PATTERN = { pattern: /^CREDENTIALS_VAULT-[0-9A-F]+$/, hint: "a Credential Vault ID (CREDENTIALS_VAULT-...)" };
+  const CREDENTIAL_PATTERN_OR_EMPTY = { pattern: /^(CREDENTIALS_VAULT-[0-9A-F]+)?$/, hint: "a Credential Vault ID (CREDENTIALS_VAULT-...) or \"\"" };
+  const DURATION_PATTERN = { pattern: /^\d+[mhd]$/, hint: "a duration like 5m, 6h or 3d" };
+
+  // User action metrics, for table columns and attention rules in build_markdown_email
+  const USER_ACTION_METRICS = [
+    "avgDuration", "p50Duration", "p90Duration", "p95Duration", "p99Duration",
+    "actionCount", "errorRate", "totalErrors", "customErrors", "jsErrors", "requestErrors", "apdex"
   ];
+  // Table columns: the metrics plus their change since the previous period
+  const USER_ACTION_COLUMNS = USER_ACTION_METRICS.concat(["avgDurationChange", "errorRateChange"]);
+  // User session fields the errors and duration of flagged user actions are broken down by
+  const SEGMENT_DIMENSIONS = ["browserFamily", "country", "osVersion", "appVersion"];
+
+  // A rule flags a user action as needing attention (see report.userActionRules)
+  const attentionRuleSchema = object({
+    name: required(string()),
+    metric: required(string(undefined, { enum: USER_ACTION_METRICS })),
+    // "above": fires at metric >= limit, "below": at metric <= limit
+    operator: string("above", { enum: ["above", "below"] }),
+    threshold: required(number(undefined, { min: 0 })),
+    // "none": the limit is the threshold
+    // "application": the limit is threshold x the median of the application's actions
+    baseline: string("none", { enum: ["none", "application"] }),
+    // Actions with fewer executions are ignored by the rule (keeps rare actions from being noisy)
+    minActions: number(0, { min: 0 }),
+    // Share of the rule in the score that ranks flagged actions
+    weight: number(1, { min: 0 }),
+    enabled: boolean(true)
+  });
+
+  const sloDiscoverySchema = object({
+    // SLO selectors, e.g. 'text("checkout")', 'name("Checkout Availability")'
+    selectors: array(string()),
+    // SLO name patterns with * wildcards (case-insensitive), e.g. "Checkout *"
+    namePatterns: array(string()),
+    // SLOs whose entity filter or metric expression uses the tag, e.g. "team:checkout"
+    tags: array(string()),
+    // SLOs whose entity filter or metric expression uses the management zone (name or ID)
+    managementZones: array(string()),
+    // Never reported, even if listed in sloIds or discovered
+    excludeSloIds: array(string())
+  });
+
+  const recipientsSchema = object({
+    to: array(string(undefined, EMAIL_PATTERN)),
+    cc: array(string(undefined, EMAIL_PATTERN)),
+    bcc: array(string(undefined, EMAIL_PATTERN))
+  });
+
+  // Ticket routing fields; each provider reads the fields that apply to it:
+  //   - ADO: areaPath, iterationPath, assignedTo, workItemType, tags
+  //   - Jira: project, component, assignedTo (accountId on Cloud, username on Server), workItemType (issue type), tags
+  //   - ServiceNow: assignmentGroup, assignedTo (user sys_id or user name)
+  //   - GitHub: repository, assignedTo (GitHub login), tags
+  const ownershipSchema = (defaults) => object({
+    areaPath: string(defaults.areaPath),           // use \\ for path separators
+    iterationPath: string(defaults.iterationPath), // "" = project default iteration
+    project: string(defaults.project),             // "" = jiraConfig.projectKey
+    component: string(defaults.component),
+    assignmentGroup: string(defaults.assignmentGroup),
+    repository: string(defaults.repository),       // "" = gitHubConfig.repository
+    assignedTo: string(defaults.assignedTo),       // "" = unassigned
+    workItemType: string(defaults.workItemType),   // e.g. "Bug", "Task", "User Story"
+    tags: string(defaults.tags)                    // extra tags, added to the common tags
+  });
+
+  const configSchema = object({
+    // Your tenant, e.g. "https://abc12345.apps.dynatrace.com" (used for all deep links)
+    dynatraceTenantUrl: required(string(undefined, URL_PATTERN)),
+
+    // ----- fetch_slo_data -----
+    fetch: object({
+      // SLO IDs always included in the report
+      // (Service Level Objectives page > click SLO > ID in URL)
+      sloIds: array(string()),
+      // Discover SLOs at run time: SLOs matching ANY rule are added to sloIds
+      sloDiscovery: sloDiscoverySchema,
+      // One report per domain (leave empty for a single report on sloIds / sloDiscovery)
+      // Each domain selects its own SLOs and overrides downstream settings
+      reportDomains: array(object({
+        id: required(string()),
+        name: string(),
+        sloIds: array(string()),
+        sloDiscovery: sloDiscoverySchema,
+        dashboardUrl: string(undefined, URL_PATTERN),   // default: fetch.dashboardUrl
+        applicationName: string(),                      // default: fetch.applicationName
+        reportTitle: string(),                          // default: report.reportTitle
+        reportSubtitle: string(),                       // default: name, then report.reportSubtitle
+        sloExplainedUrl: string(undefined, URL_PATTERN),
+        recipients: Object.assign({}, recipientsSchema, { default: null }),
+        // defaultOwnership fields for this domain's SLOs in create_tickets
+        ticketOwnership: Object.assign({}, ownershipSchema({}), { default: null })
+      })),
+      // SLO dashboard ("" = the SLO overview of your tenant)
+      dashboardUrl: string("", URL_PATTERN_OR_EMPTY),
+      // Default application for USQL queries (exactly as shown in Dynatrace)
+      applicationName: string("Your Application Name"),
+      // SLO ID -> application, for SLOs spanning several applications
+      sloApplications: map(string()),
+      // Most used user actions listed per SLO for entityName.contains / startsWith filters
+      maxMatchedUserActions: number(10, { min: 1, max: 50 }),
+      // Also fetch user action metrics of the 7 days before, for regression detection
+      fetchPreviousUserActionMetrics: boolean(true),
+      // Evaluation windows, longest first (the last window is the "current" value)
+      evaluationWindows: array(object({
+        name: required(string(undefined, { pattern: /^[A-Za-z_][A-Za-z0-9_]*$/, hint: "an identifier like day7" })),
+        label: required(string()),
+        from: required(string(undefined, { pattern: /^now-\d+[smhdwMy]$/, hint: "a relative time like now-7d" }))
+      }), [
+        { name: "day90", label: "90 Day", from: "now-90d" },
+        { name: "day30", label: "30 Day", from: "now-30d" },
+        { name: "day7", label: "7 Day", from: "now-7d" },
+        { name: "current", label: "Current", from: "now-1d" }
+      ]),
+      // Window that decides pass/fail (must be one of the evaluationWindows names)
+      categorizationWindow: string("day7"),
+      // SLO ID -> the SLO's synthetic monitors (added to the monitors found in its
+      // metric expression, see discoverSyntheticMonitors)
+      //   - type: default from the ID (SYNTHETIC_TEST-... = BROWSER, HTTP_CHECK-... = HTTP)
+      //   - syntheticName: default is the monitor's name in Dynatrace
+      syntheticSloConfig: map(array(object({
+        syntheticId: required(string(undefined, { pattern: /^(SYNTHETIC_TEST|HTTP_CHECK)-[0-9A-F]+$/, hint: "a synthetic monitor ID (SYNTHETIC_TEST-... or HTTP_CHECK-...)" })),
+        syntheticName: string(),
+        type: string(undefined, { enum: ["BROWSER", "HTTP"] })
+      }))),
+      // Treat SLOs whose metric expression filters on monitor IDs
+      // (dt.entity.synthetic_test / dt.entity.http_check) as synthetic SLOs
+      discoverSyntheticMonitors: boolean(true),
+      // Multi-window, multi-burn-rate alerting rules: a rule fires only when BOTH
+      // its long and short window burn the error budget faster than the threshold.
+      // Burn rate = (100 - status) / (100 - target), so 1 = budget consumed exactly
+      // over the SLO window, 14.4 = 2% of a 30-day budget per hour.
+      //   - severity "page": sudden outage, needs immediate attention
+      //   - severity "ticket": slow degradation, fix during working hours
+      burnRateRules: array(object({
+        name: required(string()),
+        severity: required(string(undefined, { enum: ["page", "ticket"] })),
+        longWindow: required(string(undefined, DURATION_PATTERN)),
+        shortWindow: required(string(undefined, DURATION_PATTERN)),
+        threshold: required(number(undefined, { min: 0 }))
+      }), [
+        { name: "Fast burn", severity: "page", longWindow: "1h", shortWindow: "5m", threshold: 14.4 },
+        { name: "Slow burn", severity: "ticket", longWindow: "6h", shortWindow: "30m", threshold: 6 },
+        { name: "Sustained burn", severity: "ticket", longWindow: "3d", shortWindow: "6h", threshold: 1 }
+      ]),
+      // Problems and deployment / configuration events on the application and
+      // services of each failing SLO, within the categorization window
+      // (needs problems.read and events.read for the workflow actor)
+      breachCorrelation: object({
+        enabled: boolean(true),
+        eventTypes: array(string(), ["CUSTOM_DEPLOYMENT", "CUSTOM_CONFIGURATION"]),
+        // Also check the services the SLO's application calls
+        includeCalledServices: boolean(true),
+        maxServices: number(20, { min: 1, max: 100 }),
+        // Most recent problems and events kept per SLO
+        maxListed: number(10, { min: 1, max: 50 })
+      }),
+      // Segment breakdown of the user actions flagged by report.userActionRules
+      // (report.maxFlaggedUserActions per SLO, as listed in the report): their errors and duration
+      // per browser, country, OS version and app version, one USQL query per
+      // application and dimension
+      segmentBreakdown: object({
+        enabled: boolean(true),
+        dimensions: array(string(undefined, { enum: SEGMENT_DIMENSIONS }), SEGMENT_DIMENSIONS),
+        // Flagged actions broken down, highest attention score first
+        maxActions: number(10, { min: 1, max: 50 }),
+        // Busiest segments kept per action and dimension
+        maxSegments: number(10, { min: 2, max: 50 })
+      }),
+      // Error budget forecast from each SLO's daily status over its own window
+      // (the SLO's timeframe, e.g. "-30d"); the consumption rate is the average
+      // burn of the last rateDays days
+      budgetForecast: object({
+        enabled: boolean(true),
+        rateDays: number(7, { min: 1, max: 30 })
+      }),
+      // Report snapshots for the comparison with earlier reports
+      // (needs document:documents:read/write for the workflow actor)
+      snapshotSettings: object({
+        enabled: boolean(true),
+        documentName: string("SLO Report Snapshots"), // use a unique name per workflow
+        historyLimit: number(30, { min: 1 })
+      }),
+      // Independent API requests run in parallel, at most this many at a time
+      // (1 = sequential; higher values risk throttling on large tenants)
+      maxConcurrentRequests: number(4, { min: 1, max: 10 }),
+      // Retries and failure threshold for the API calls of this task
+      dataQuality: object({
+        // Retries of throttled (429), server (5xx) and network errors
+        retries: number(2, { min: 0, max: 5 }),
+        // Delay before the first retry, doubled for every further retry
+        retryDelayMs: number(1000, { min: 0 }),
+        // Fail the task when a larger share of one stage's requests fails
+        // (0 = fail on any failed request, 1 = never fail)
+        maxFailureRatio: number(0.5, { min: 0, max: 1 })
+      })
+    }),
+
+    // ----- build_markdown_email -----
+    report: object({
+      reportTitle: string("📊 SLO Report"),
+      reportSubtitle: string("Your Domain Name (Prod)"),
+      // "SLOs explained" link ("" = no link)
+      sloExplainedUrl: string("", URL_PATTERN_OR_EMPTY),
+      // Error analysis dashboard shown with the user action metrics ("" = no link)
+      errorAnalysisUrl: string("", URL_PATTERN_OR_EMPTY),
+      // SLO IDs pinned to the top of each category
+      prioritySloIds: array(string()),
+      // User actions are shown when ANY enabled rule fires, ranked by the
+      // weighted distance beyond each fired rule's limit
+      userActionRules: array(attentionRuleSchema, [
+        { name: "High error rate", metric: "errorRate", operator: "above", threshold: 10, baseline: "none", minActions: 10, weight: 2, enabled: true },
+        { name: "Slow p90", metric: "p90Duration", operator: "above", threshold: 3000, baseline: "none", minActions: 10, weight: 1, enabled: true },
+        { name: "Error rate above application", metric: "errorRate", operator: "above", threshold: 3, baseline: "application", minActions: 50, weight: 1, enabled: true },
+        { name: "Low Apdex", metric: "apdex", operator: "below", threshold: 0.7, baseline: "none", minActions: 10, weight: 1, enabled: true }
+      ]),
+      // Flagged user actions listed per SLO, highest score first
+      maxFlaggedUserActions: number(3, { min: 1, max: 20 }),
+      // SLO ID -> rule name -> changed rule settings, e.g.
+      // { "slo-id": { "Slow p90": { "threshold": 8000 }, "Low Apdex": { "enabled": false } } }
+      userActionRuleOverrides: map(map(object({
+        threshold: number(undefined, { min: 0 }),
+        minActions: number(undefined, { min: 0 }),
+        weight: number(undefined, { min: 0 }),
+        enabled: boolean(undefined)
+      }))),
+      // Columns of the user action tables, in this order
+      userActionColumns: array(string(undefined, { enum: USER_ACTION_COLUMNS }), ["avgDuration", "avgDurationChange", "customErrors", "jsErrors", "requestErrors", "errorRateChange"]),
+      // Shortening of user action names in the report tables: the part after the
+      // first matching separator is a URL, shown as its last pathSegments path
+      // segments ("click on Pay landing on https://shop/a/b/c" -> "click on Pay → .../b/c");
+      // other names are cut to maxLength characters
+      userActionNameShortening: object({
+        separators: array(string(), [" landing on ", " of page "]),
+        pathSegments: number(2, { min: 1 }),
+        maxLength: number(50, { min: 10 })
+      }),
+      // User action regressions against the previous 7 days (see fetch.fetchPreviousUserActionMetrics)
+      // A metric regressed when it got at least minChangePercent worse AND the change
+      // is statistically meaningful (z-score >= minZScore; 1.96 = 95% confidence),
+      // with at least minActions actions in both periods
+      regressionSettings: object({
+        enabled: boolean(true),
+        minChangePercent: number(20, { min: 0 }),
+        minZScore: number(1.96, { min: 0 }),
+        minActions: number(30, { min: 1 }),
+        maxListed: number(10, { min: 1 })
+      }),
+      // Segments listed per flagged user action (see fetch.segmentBreakdown),
+      // over-represented ones first: a segment is over-represented when its share
+      // of the action's errors (or time) is at least minRatio x its share of the
+      // traffic, and at least minShare percent
+      segmentSettings: object({
+        maxListed: number(5, { min: 1, max: 20 }),
+        minRatio: number(2, { min: 1 }),
+        minShare: number(10, { min: 0, max: 100 })
+      }),
+      // Daily status chart in the Trend column of the SLO tables: the last
+      // `days` days of each SLO's window (dailySeries of fetch_slo_data)
+      trendCharts: object({
+        enabled: boolean(true),
+        days: number(30, { min: 7, max: 90 })
+      }),
+      // Comparison with earlier reports (7 = week-over-week, 0 = previous run)
+      comparisonSettings: object({
+        minSnapshotAgeDays: number(7, { min: 0 }),
+        topMovers: number(3, { min: 0 }),
+        minMovement: number(0.1, { min: 0 })
+      }),
+      // Email recipients (domains can override) and subject prefix
+      emailRecipients: recipientsSchema,
+      emailSubjectPrefix: string("[EXT] SLO Report"), // subtitle and report date are appended
+      // Cross-domain roll-up email for leadership
+      rollupSettings: object({
+        enabled: boolean(false),
+        title: string("📊 SLO Roll-up"),
+        subtitle: string("All Domains (Prod)"),
+        recipients: recipientsSchema
+      })
+    }),
+
+    // ----- create_tickets -----
+    tickets: object({
+      // Ticketing backends to sync ([] = no tickets)
+      ticketProviders: array(string(undefined, { enum: ["ado", "jira", "servicenow", "github"] })),
+      // Credential: Token credential holding a PAT with "Work Items: Read & Write" scope
+      adoConfig: object({
+        organization: string(""), // https://dev.azure.com/{organization}
+        project: string(""),
+        credentialId: string("", CREDENTIAL_PATTERN_OR_EMPTY),
+        closedStates: array(string(), ["Closed", "Resolved", "Done", "Removed"]),
+        resolvedState: string("Resolved"),
+        resolvedReason: string(""), // Microsoft.VSTS.Common.ResolvedReason, "" to skip
+        severityPriority: object({ page: number(1), ticket: number(2), none: number(2) })
+      }),
+      // Credential: Cloud = Username/password (Atlassian email + API token),
+      // Server/Data Center = Token credential holding a personal access token
+      jiraConfig: object({
+        baseUrl: string("", URL_PATTERN_OR_EMPTY),
+        deployment: string("cloud", { enum: ["cloud", "server"] }),
+        credentialId: string("", CREDENTIAL_PATTERN_OR_EMPTY),
+        projectKey: string(""),
+        resolveTransition: string("Done"),
+        severityPriority: object({ page: string("Highest"), ticket: string("High"), none: string("Medium") })
+      }),
+      // Credential: Username/password for an integration user with the itil role
+      serviceNowConfig: object({
+        instanceUrl: string("", URL_PATTERN_OR_EMPTY),
+        credentialId: string("", CREDENTIAL_PATTERN_OR_EMPTY),
+        resolvedState: string("6"), // 6 = Resolved in the default workflow
+        closeCode: string("Solution provided"),
+        severityPriority: object({
+          page: object({ impact: number(1), urgency: number(1) }),
+          ticket: object({ impact: number(2), urgency: number(2) }),
+          none: object({ impact: number(3), urgency: number(3) })
+        })
+      }),
+      // Credential: Token credential holding a token with "issues: write" permission
+      gitHubConfig: object({
+        apiUrl: string("https://api.github.com", URL_PATTERN), // GitHub Enterprise: "https://github.example.com/api/v3"
+        repository: string("", { pattern: /^([\w.-]+\/[\w.-]+)?$/, hint: "owner/repo" }),
+        credentialId: string("", CREDENTIAL_PATTERN_OR_EMPTY),
+        severityPriority: object({ page: string("priority: critical"), ticket: string("priority: high"), none: string("") })
+      }),
+      // Tags/labels applied to every ticket (semicolon-separated)
+      tags: string("SLO-Breach;Automated"),
+      // Per-SLO fingerprint prefix - don't change once tickets exist
+      fingerprintTagPrefix: string("SLO-ID:"),
+      // "perSlo": one ticket per failing SLO, "rollup": one ticket per owner
+      workItemMode: string("perSlo", { enum: ["perSlo", "rollup"] }),
+      // Routing for SLOs without an entry in sloOwnership
+      defaultOwnership: ownershipSchema({ areaPath: "", iterationPath: "", project: "", component: "", assignmentGroup: "", repository: "", assignedTo: "", workItemType: "Bug", tags: "" }),
+      // SLO ID -> owner (fields left out fall back to the domain's
+      // ticketOwnership, then to defaultOwnership)
+      sloOwnership: map(ownershipSchema({})),
+      // Resolve tickets once their SLOs passed on each of the last N days
+      autoResolve: object({
+        enabled: boolean(true),
+        requiredPassingDays: number(3, { min: 1 })
+      })
+    }),
+
+    // ----- send_chat_report -----
+    chat: object({
+      // Webhooks: Token credential whose token is the webhook URL
+      chatChannels: array(object({
+        type: required(string(undefined, { enum: ["slack", "teams"] })),
+        credentialId: required(string(undefined, CREDENTIAL_PATTERN))
+      })),
+      // "always": every run, "breach": only with failing SLOs or burn-rate alerts
+      sendWhen: string("always", { enum: ["always", "breach"] }),
+      // Failing SLOs listed individually (Slack allows 50 blocks per message)
+      maxListedSlos: number(20, { min: 1 })
+    })
+  });
+
+  // Helper to suggest the closest known setting for a typo
+  const suggestKey = (key, knownKeys) => {
+    const distance = (a, b) => {
+      const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+      for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+          const current = row[j];
+          row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+          previous = current;
+        }
+      }
+      return row[b.length];
+    };
+
+    const candidates = knownKeys
+      .map(known => ({ key: known, distance: distance(key.toLowerCase(), known.toLowerCase()) }))
+      .filter(candidate => candidate.distance <= 3)
+      .sort((a, b) => a.distance - b.distance);
+
+    return candidates.length > 0 ? " (did you mean '" + candidates[0].key + "'?)" : "";
+  };
+
+  // Helper to validate a value against a schema node
+  // Returns the value with defaults applied; problems are added to errors
+  const applySchema = (value, schema, path, errors) => {
+    if (value === undefined || value === null) {
+      if (schema.required) {
+        errors.push(path + " is required");
+        return null;
+      }
+      if (schema.default !== undefined) return JSON.parse(JSON.stringify(schema.default));
+      if (schema.type !== "object") return null;
+      value = {};
+    }
 
-  // TODO: Update with your dashboard URL
-  const dashboardUrl = "https://YOUR_TENANT.apps.dynatrace.com/ui/apps/dynatrace.classic.dashboards/#dashboard;gtf=-2h;gf=all;id=YOUR_DASHBOARD_ID";
+    const isPlainObject = typeof value === "object" && !Array.isArray(value);
 
-  // TODO: Update with your Dynatrace application name (for USQL queries)
-  // This must match the application name exactly as shown in Dynatrace
-  const applicationName = "Your Application Name";
+    if (schema.type === "string") {
+      if (typeof value !== "string") {
+        errors.push(path + " must be a string, got " + JSON.stringify(value));
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(path + " must be one of " + schema.enum.map(option => '"' + option + '"').join(", ") + ", got \"" + value + "\"");
+      } else if (schema.pattern && !schema.pattern.test(value)) {
+        errors.push(path + " must be " + schema.hint + ", got \"" + value + "\"");
+      }
+      return value;
+    }
+
+    if (schema.type === "number") {
+      if (typeof value !== "number" || !isFinite(value)) {
+        errors.push(path + " must be a number, got " + JSON.stringify(value));
+      } else if ((schema.min != null && value < schema.min) || (schema.max != null && value > schema.max)) {
+        errors.push(path + " must be between " + (schema.min != null ? schema.min : "-∞") + " and " + (schema.max != null ? schema.max : "∞") + ", got " + value);
+      }
+      return value;
+    }
+
+    if (schema.type === "boolean") {
+      if (typeof value !== "boolean") errors.push(path + " must be true or false, got " + JSON.stringify(value));
+      return value;
+    }
+
+    if (schema.type === "array") {
+      if (!Array.isArray(value)) {
+        errors.push(path + " must be a list, got " + JSON.stringify(value));
+        return [];
+      }
+      return value.map((item, i) => applySchema(item, schema.items, path + "[" + i + "]", errors));
+    }
+
+    if (schema.type === "map") {
+      if (!isPlainObject) {
+        errors.push(path + " must be an object, got " + JSON.stringify(value));
+        return {};
+      }
+      const result = {};
+      for (const key of Object.keys(value)) {
+        result[key] = applySchema(value[key], schema.values, path + "[\"" + key + "\"]", errors);
+      }
+      return result;
+    }
 
-  // TODO: Configure synthetic SLO mappings (if applicable)
-  // Map SLO IDs to their synthetic monitor details
-  // Leave empty {} if you don't use synthetic SLOs
-  const syntheticSloConfig = {
-    // "synthetic-slo-id-1": {
-    //   syntheticId: "SYNTHETIC_TEST-XXXXXXXXXXXX",
-    //   syntheticName: "Your Monitor Name",
-    //   type: "BROWSER"  // or "HTTP"
-    // },
+    // object: known properties only, so typos don't go unnoticed
+    if (!isPlainObject) {
+      errors.push(path + " must be an object, got " + JSON.stringify(value));
+      return applySchema(undefined, Object.assign({}, schema, { required: false, default: undefined }), path, []);
+    }
+    const knownKeys = Object.keys(schema.properties);
+    for (const key of Object.keys(value)) {
+      if (!knownKeys.includes(key)) {
+        errors.push(path + "." + key + " is not a known setting" + suggestKey(key, knownKeys));
+      }
+    }
+    const result = {};
+    for (const key of knownKeys) {
+      result[key] = applySchema(value[key], schema.properties[key], path + "." + key, errors);
+    }
+    return result;
   };
 
+  // ----- Load the config from the workflow input -----
+  const taskStartedAt = Date.now();
+  const ex = await execution(execution_id);
+  const workflowInput = ex.input || {};
+  let rawConfig = workflowInput.config;
+
+  if (!rawConfig && workflowInput.configDocument) {
+    console.log("Loading config from document " + workflowInput.configDocument + "...");
+    const listing = await documentsClient.listDocuments({
+      filter: "name == '" + String(workflowInput.configDocument).replace(/'/g, "\\'") + "'"
+    });
+    const configDocument = (listing.documents || [])[0];
+    if (!configDocument) {
+      throw new Error("Config document '" + workflowInput.configDocument + "' not found. Check the configDocument workflow input and the workflow actor's document:documents:read permission.");
+    }
+    const content = await documentsClient.downloadDocumentContent({ id: configDocument.id });
+    rawConfig = await content.get("json");
+  }
+
+  if (!rawConfig) {
+    throw new Error("No configuration found. Set the workflow input \"config\" (or \"configDocument\") - see the input of slo-report-template.workflow.json for an example.");
+  }
+
+  // ----- Validate -----
+  const configErrors = [];
+  const config = applySchema(rawConfig, configSchema, "config", configErrors);
+
+  // Checks across settings
+  if (config.fetch && config.report && config.tickets) {
+    const fetchConfig = config.fetch;
+    const windowNames = fetchConfig.evaluationWindows.map(window => window && window.name);
+
+    if (fetchConfig.evaluationWindows.length === 0) {
+      configErrors.push("config.fetch.evaluationWindows needs at least one window");
+    } else if (!windowNames.includes(fetchConfig.categorizationWindow)) {
+      configErrors.push("config.fetch.categorizationWindow \"" + fetchConfig.categorizationWindow + "\" is not one of the evaluationWindows: " + windowNames.join(", "));
+    }
+
+    const hasDiscoveryRules = (discovery) => discovery.selectors.length + discovery.namePatterns.length + discovery.tags.length + discovery.managementZones.length > 0;
+    if (fetchConfig.reportDomains.length === 0 && fetchConfig.sloIds.length === 0 && !hasDiscoveryRules(fetchConfig.sloDiscovery)) {
+      configErrors.push("config.fetch has no SLOs: set sloIds, sloDiscovery or reportDomains");
+    }
+
+    fetchConfig.reportDomains.forEach((domain, i) => {
+      if (domain.sloIds.length === 0 && !hasDiscoveryRules(domain.sloDiscovery)) {
+        configErrors.push("config.fetch.reportDomains[" + i + "] has no SLOs: set sloIds or sloDiscovery");
+      }
+      if (fetchConfig.reportDomains.findIndex(other => other.id === domain.id) !== i) {
+        configErrors.push("config.fetch.reportDomains[" + i + "].id \"" + domain.id + "\" is used by more than one domain");
+      }
+    });
+
+    if (config.report.userActionColumns.length === 0) {
+      configErrors.push("config.report.userActionColumns needs at least one column: " + USER_ACTION_COLUMNS.join(", "));
+    }
+
+    const ruleNames = config.report.userActionRules.map(rule => rule && rule.name);
+    for (const [sloId, overrides] of Object.entries(config.report.userActionRuleOverrides)) {
+      for (const ruleName of Object.keys(overrides)) {
+        if (!ruleNames.includes(ruleName)) {
+          configErrors.push("config.report.userActionRuleOverrides[\"" + sloId + "\"][\"" + ruleName + "\"] is not one of the userActionRules: " + ruleNames.join(", "));
+        }
+      }
+    }
+
+    // Every enabled ticket provider needs its connection settings
+    const providerRequirements = {
+      ado: ["adoConfig", ["organization", "project", "credentialId"]],
+      jira: ["jiraConfig", ["baseUrl", "credentialId", "projectKey"]],
+      servicenow: ["serviceNowConfig", ["instanceUrl", "credentialId"]],
+      github: ["gitHubConfig", ["repository", "credentialId"]]
+    };
+    for (const providerName of config.tickets.ticketProviders) {
+      const requirement = providerRequirements[providerName];
+      if (!requirement) continue;
+      for (const field of requirement[1]) {
+        if (!config.tickets[requirement[0]][field]) {
+          configErrors.push("config.tickets." + requirement[0] + "." + field + " is required when \"" + providerName + "\" is in ticketProviders");
+        }
+      }
+    }
+  }
+
+  if (configErrors.length > 0) {
+    throw new Error("Invalid SLO report configuration (" + configErrors.length + " problem(s)):\n  - " + configErrors.join("\n  - "));
+  }
+
+  // Derived defaults: every deep link is based on the tenant URL
+  config.dynatraceTenantUrl = config.dynatraceTenantUrl.replace(/\/$/, "");
+  if (!config.fetch.dashboardUrl) {
+    config.fetch.dashboardUrl = config.dynatraceTenantUrl + "/ui/apps/dynatrace.classic.slo/#slo";
+  }
+
+  console.log("Configuration valid");
+
+  const {
+    sloIds,
+    sloDiscovery,
+    reportDomains,
+    dashboardUrl,
+    applicationName,
+    sloApplications,
+    maxMatchedUserActions,
+    fetchPreviousUserActionMetrics,
+    evaluationWindows,
+    categorizationWindow,
+    syntheticSloConfig,
+    discoverSyntheticMonitors,
+    burnRateRules,
+    budgetForecast,
+    breachCorrelation,
+    segmentBreakdown,
+    snapshotSettings,
+    maxConcurrentRequests,
+    dataQuality
+  } = config.fetch;
+
   // Batching configuration
   // SLO API has a max pageSize of 25 when evaluate=true
   const SLO_BATCH_SIZE = 20;
   // USQL has query length limits, so batch user actions
   const USQL_BATCH_SIZE = 10;
+  // Key user actions per entityName.in(...) lookup (keeps the selector short)
+  const ENTITY_BATCH_SIZE = 50;
+  // Max pageSize of the entities API
+  const ENTITY_PAGE_SIZE = 500;
+
+  // ============================================
+  // DATA QUALITY
+  // Every API call goes through fetchWithRetry, which
+  // retries transient errors with exponential backoff
+  // and counts requests and failures per stage. Failed
+  // requests are returned as "diagnostics" and shown in
+  // the report, instead of silently missing data.
+  // ============================================
+  const diagnostics = {
+    stages: {},        // stage -> { requests, failed, retried }
+    failures: [],      // { stage, target, sloIds, status, message, attempts }
+    failedSloIds: [],  // SLOs with at least one window that couldn't be fetched
+    filterErrors: []   // { sloId, sloName, message } for metric expressions that couldn't be parsed
+  };
+
+  // Helper to read the HTTP status of an SDK or fetch error (null for network errors)
+  const getErrorStatus = (error) => {
+    if (error && error.response && error.response.status) return error.response.status;
+    if (error && error.statusCode) return error.statusCode;
+    return null;
+  };
+
+  // Error codes and names of network failures and timeouts (fetch reports
+  // them as a TypeError with the code on its cause)
+  const NETWORK_ERROR_CODES = ["ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "ETIMEDOUT", "EPIPE", "ENOTFOUND", "EAI_AGAIN",
+    "UND_ERR_CONNECT_TIMEOUT", "UND_ERR_HEADERS_TIMEOUT", "UND_ERR_BODY_TIMEOUT", "UND_ERR_SOCKET"];
+  const NETWORK_ERROR_NAMES = ["AbortError", "TimeoutError", "NetworkError", "FetchError"];
+
+  // Helper to check if an error is a network failure or timeout
+  const isNetworkError = (error) => {
+    if (!error) return false;
+    const code = error.code || (error.cause && error.cause.code);
+    return NETWORK_ERROR_CODES.includes(code) || NETWORK_ERROR_NAMES.includes(error.name);
+  };
+
+  // Helper to check if an error is worth retrying (throttling, server or network errors)
+  // Other errors without a status (e.g. a TypeError in the request code) fail at once
+  const isTransientError = (error) => {
+    const status = getErrorStatus(error);
+    if (status == null) return isNetworkError(error);
+    return status === 429 || status >= 500;
+  };
+
+  // Helper to get the IDs of the SLOs matching a condition (the SLOs a request is for)
+  const getSloIdsWhere = (predicate) => sloReport.filter(predicate).map(slo => slo.id);
+
+  // Helper to run one API request with retries
+  // sloIds: the SLOs the request is for, so each domain's report lists only
+  // its own failures (null: all SLOs, e.g. SLO discovery)
+  // Rethrows the last error, so callers keep their own fallback handling
+  const fetchWithRetry = async (stage, target, sloIds, request) => {
+    const stats = diagnostics.stages[stage] || (diagnostics.stages[stage] = { requests: 0, failed: 0, retried: 0 });
+    stats.requests++;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        if (attempt <= dataQuality.retries && isTransientError(error)) {
+          const delay = dataQuality.retryDelayMs * Math.pow(2, attempt - 1);
+          console.log("Retrying " + stage + " request for " + target + " in " + delay + " ms (attempt " + (attempt + 1) + "): " + error.message);
+          stats.retried++;
+          await new Promise(resolve => setTimeout(resolve, delay));
+          continue;
+        }
+
+        stats.failed++;
+        diagnostics.failures.push({
+          stage: stage,
+          target: target,
+          sloIds: sloIds,
+          status: getErrorStatus(error),
+          message: error.message,
+          attempts: attempt
+        });
+        throw error;
+      }
+    }
+  };
+
+  // ============================================
+  // CONCURRENCY AND TIMINGS
+  // Independent requests (SLO batches, USQL batches,
+  // entity lookups, synthetic queries) run in parallel,
+  // at most maxConcurrentRequests at a time. The duration
+  // of each phase is returned as "timings" (ms).
+  // ============================================
+  const timings = {};
+  let phaseStartedAt = Date.now();
+  timings.config = phaseStartedAt - taskStartedAt;
+
+  // Helper to record the duration of the phase that just finished
+  const endPhase = (phase) => {
+    const finishedAt = Date.now();
+    timings[phase] = finishedAt - phaseStartedAt;
+    phaseStartedAt = finishedAt;
+    console.log("Phase " + phase + " took " + timings[phase] + " ms");
+  };
+
+  // Helper to run an async function for each item, at most `limit` at a time
+  // Results keep the order of the items; fn must handle its own errors
+  const mapConcurrently = async (items, limit, fn) => {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        results[index] = await fn(items[index], index);
+      }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(limit, items.length); i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+    return results;
+  };
+
+  // ============================================
+  // METRIC EXPRESSION PARSER
+  // Reads which user actions (and which application),
+  // synthetic monitors or services an SLO's metric
+  // expression is filtered on. Every
+  // :filter(...) transformation is tokenized and parsed
+  // into a tree of calls, e.g.
+  //   and(in("dt.entity.application_method",
+  //          entitySelector("type(application_method),entityName.in(\"a\",\"b\")")),
+  //       not(eq("dt.entity.application_method","APPLICATION_METHOD-1234")))
+  // and entity selectors inside entitySelector("...") are
+  // parsed the same way. and/or add up their conditions,
+  // not(...) and ne(...) turn them into excludes.
+  //
+  // Returns {
+  //   userActions: [{ include, match, value }]  match: "equals", "contains" or "startsWith"
+  //   entityIds: [{ include, id }]              APPLICATION_METHOD-... entity IDs
+  //   application: { name } or { id } or null
+  //   syntheticMonitorIds: SYNTHETIC_TEST-... / HTTP_CHECK-... IDs
+  //   serviceIds: SERVICE-... IDs
+  //   error: why the expression couldn't be parsed, or null
+  // }
+  // ============================================
+
+  // Helper to split a metric expression or entity selector into tokens
+  // In entity selectors ~ escapes the next character inside strings.
+  // In metric expressions ~" / ~~ stand for " / ~ and \ escapes the
+  // next character, so entitySelector("type(~"SERVICE~")") and
+  // entitySelector("type(\"SERVICE\")") both unwrap to type("SERVICE")
+  // (and ~~~" to the selector's own ~" escape) to be tokenized again.
+  const tokenize = (text, isEntitySelector) => {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+      const char = text[i];
+
+      if (/\s/.test(char)) {
+        i++;
+      } else if (char === '"') {
+        const start = i;
+        let value = "";
+        i++;
+        while (i < text.length && text[i] !== '"') {
+          if (text[i] === "~" && !isEntitySelector && (text[i + 1] === '"' || text[i + 1] === "~")) {
+            i++;
+          } else if (text[i] === (isEntitySelector ? "~" : "\\") && i + 1 < text.length) {
+            i++;
+          }
+          value += text[i];
+          i++;
+        }
+        if (i >= text.length) {
+          throw new Error("unterminated string starting at position " + start);
+        }
+        i++;
+        tokens.push({ type: "string", value: value });
+      } else if ("(),:".includes(char)) {
+        tokens.push({ type: char });
+        i++;
+      } else {
+        // Words: function names, metric keys, numbers, operators, unquoted values
+        let value = "";
+        while (i < text.length && !/[\s"(),:]/.test(text[i])) {
+          value += text[i];
+          i++;
+        }
+        tokens.push({ type: "word", value: value });
+      }
+    }
+
+    return tokens;
+  };
+
+  // Helper to parse one term at state.position: a string, a word,
+  // or a call like name(term, term, ...)
+  const parseTerm = (tokens, state) => {
+    const token = tokens[state.position];
+    if (!token) throw new Error("unexpected end of expression");
+
+    if (token.type === "string") {
+      state.position++;
+      return { type: "string", value: token.value };
+    }
+    if (token.type !== "word") {
+      throw new Error("unexpected '" + token.type + "'");
+    }
+
+    state.position++;
+    if (!tokens[state.position] || tokens[state.position].type !== "(") {
+      return { type: "word", value: token.value };
+    }
+
+    state.position++;
+    const args = [];
+    while (!tokens[state.position] || tokens[state.position].type !== ")") {
+      args.push(parseTerm(tokens, state));
+
+      const separator = tokens[state.position];
+      if (separator && separator.type === ",") {
+        state.position++;
+      } else if (!separator || separator.type !== ")") {
+        throw new Error("missing ')' after the arguments of " + token.value + "(...)");
+      }
+    }
+    state.position++;
+
+    return { type: "call", name: token.value, args: args };
+  };
+
+  // Helper to parse an entity selector into its comma-separated criteria
+  const parseEntitySelector = (selector) => {
+    const tokens = tokenize(selector, true);
+    const state = { position: 0 };
+    const criteria = [];
+
+    while (state.position < tokens.length) {
+      criteria.push(parseTerm(tokens, state));
+      if (tokens[state.position] && tokens[state.position].type === ",") {
+        state.position++;
+      } else if (state.position < tokens.length) {
+        throw new Error("unexpected '" + (tokens[state.position].value || tokens[state.position].type) + "' in entity selector " + selector);
+      }
+    }
+
+    return criteria;
+  };
+
+  // User action match kind per entity selector name function
+  // (entityName("...") matches names containing the value)
+  const NAME_MATCHES = {
+    "entityname": "contains",
+    "entityname.contains": "contains",
+    "entityname.equals": "equals",
+    "entityname.in": "equals",
+    "entityname.startswith": "startsWith"
+  };
+
+  // Helper to add a user action or application criterion to the parsed filter
+  const addEntityCriterion = (filter, entityType, include, kind, value) => {
+    if (entityType === "APPLICATION") {
+      // An excluded application doesn't tell which application the SLO is on
+      if (include && !filter.application) {
+        filter.application = kind === "id" ? { id: value } : { name: value };
+      }
+    } else if (entityType === "APPLICATION_METHOD") {
+      if (kind === "id") {
+        if (!filter.entityIds.some(e => e.id === value && e.include === include)) {
+          filter.entityIds.push({ include: include, id: value });
+        }
+      } else if (!filter.userActions.some(ua => ua.value === value && ua.match === kind && ua.include === include)) {
+        filter.userActions.push({ include: include, match: kind, value: value });
+      }
+    } else if (entityType === "SYNTHETIC_TEST" || entityType === "HTTP_CHECK") {
+      // Monitors are only picked up by ID; excluded monitors don't need a query
+      if (include && kind === "id" && !filter.syntheticMonitorIds.includes(value)) {
+        filter.syntheticMonitorIds.push(value);
+      }
+    } else if (entityType === "SERVICE") {
+      // Services are only picked up by ID, for the problems and events of failing SLOs
+      if (include && kind === "id" && !filter.serviceIds.includes(value)) {
+        filter.serviceIds.push(value);
+      }
+    }
+  };
+
+  // Helper to read the criteria of an entity selector into the parsed filter
+  // entityType: type of the entities selected (type(...) in the selector wins)
+  const readEntitySelector = (criteria, include, filter, entityType) => {
+    const typeCriterion = criteria.find(c => c.type === "call" && c.name.toLowerCase() === "type");
+    const selectedType = typeCriterion && typeCriterion.args[0]
+      ? String(typeCriterion.args[0].value).toUpperCase()
+      : entityType;
+
+    for (const criterion of criteria) {
+      if (criterion.type !== "call") continue;
+
+      const name = criterion.name.toLowerCase();
+      const values = criterion.args.filter(arg => arg.type !== "call").map(arg => String(arg.value));
+
+      if (name === "not") {
+        readEntitySelector(criterion.args, !include, filter, selectedType);
+      } else if (name === "casesensitive") {
+        readEntitySelector(criterion.args, include, filter, selectedType);
+      } else if (/^(from|to)relationships?\./.test(name)) {
+        // Related entities, e.g. the application of an application method
+        readEntitySelector(criterion.args, include, filter, null);
+      } else if (NAME_MATCHES[name]) {
+        values.forEach(value => addEntityCriterion(filter, selectedType, include, NAME_MATCHES[name], value));
+      } else if (name === "entityid") {
+        values.forEach(value => addEntityCriterion(filter, selectedType, include, "id", value));
+      }
+    }
+  };
+
+  // Entity type per metric dimension read from :filter(...) conditions
+  const FILTER_DIMENSION_TYPES = {
+    "dt.entity.application_method": "APPLICATION_METHOD",
+    "dt.entity.application": "APPLICATION",
+    "dt.entity.synthetic_test": "SYNTHETIC_TEST",
+    "dt.entity.http_check": "HTTP_CHECK",
+    "dt.entity.service": "SERVICE"
+  };
+
+  // Helper to read a :filter(...) condition of a metric selector into the parsed filter
+  const readMetricCondition = (condition, include, filter) => {
+    if (condition.type !== "call") return;
+    const name = condition.name.toLowerCase();
+
+    if (name === "and" || name === "or") {
+      condition.args.forEach(arg => readMetricCondition(arg, include, filter));
+    } else if (name === "not") {
+      condition.args.forEach(arg => readMetricCondition(arg, !include, filter));
+    } else if (name === "eq" || name === "ne" || name === "in") {
+      const dimension = condition.args[0] ? String(condition.args[0].value).toLowerCase() : "";
+      const entityType = FILTER_DIMENSION_TYPES[dimension];
+      if (!entityType) return;
+
+      const conditionInclude = name === "ne" ? !include : include;
+      for (const arg of condition.args.slice(1)) {
+        if (arg.type === "call" && arg.name.toLowerCase() === "entityselector") {
+          const selector = arg.args[0] ? String(arg.args[0].value) : "";
+          readEntitySelector(parseEntitySelector(selector), conditionInclude, filter, entityType);
+        } else if (arg.type !== "call") {
+          addEntityCriterion(filter, entityType, conditionInclude, "id", String(arg.value));
+        }
+      }
+    }
+  };
+
+  // Helper to parse the user action filter of an SLO's metric expression
+  const parseMetricFilter = (expression) => {
+    const filter = { userActions: [], entityIds: [], application: null, syntheticMonitorIds: [], serviceIds: [], error: null };
+    if (!expression) return filter;
+
+    try {
+      const tokens = tokenize(expression, false);
+
+      for (let i = 0; i < tokens.length; i++) {
+        const isFilter = tokens[i].type === ":" &&
+          tokens[i + 1] && tokens[i + 1].type === "word" && tokens[i + 1].value === "filter" &&
+          tokens[i + 2] && tokens[i + 2].type === "(";
+        if (!isFilter) continue;
+
+        const state = { position: i + 1 };
+        const filterCall = parseTerm(tokens, state);
+        filterCall.args.forEach(condition => readMetricCondition(condition, true, filter));
+        i = state.position - 1;
+      }
+    } catch (error) {
+      filter.error = error.message;
+    }
+
+    return filter;
+  };
+
+  // Helper to get the service IDs of an SLO's entity filter,
+  // e.g. type("SERVICE"),entityId("SERVICE-1234")
+  const getEntityFilterServiceIds = (selector) => {
+    const filter = parseMetricFilter(null);
+    if (!selector) return filter.serviceIds;
+
+    try {
+      readEntitySelector(parseEntitySelector(selector), true, filter, null);
+    } catch (error) {
+      console.error("Could not parse entity filter " + selector + ": " + error.message);
+    }
+    return filter.serviceIds;
+  };
+
+  // Helper to check if a user action name matches a parsed filter criterion
+  // (entity selector name matches are case-insensitive)
+  const matchesUserAction = (name, criterion) => {
+    const actionName = name.toLowerCase();
+    const value = criterion.value.toLowerCase();
+    if (criterion.match === "contains") return actionName.includes(value);
+    if (criterion.match === "startsWith") return actionName.startsWith(value);
+    return actionName === value;
+  };
+
+  // Helper to get the user action names of a parsed filter
+  // Excluded names are removed; entity IDs are resolved and
+  // contains/startsWith patterns are expanded separately
+  const getUserActionNames = (filter) => {
+    const excluded = filter.userActions.filter(ua => !ua.include);
+    const names = [];
+    for (const ua of filter.userActions) {
+      if (ua.include && ua.match === "equals" && !names.includes(ua.value) &&
+          !excluded.some(criterion => matchesUserAction(ua.value, criterion))) {
+        names.push(ua.value);
+      }
+    }
+    return names;
+  };
 
   // ============================================
   // HELPER FUNCTIONS
@@ -71,218 +1077,1081 @@ export default async function ({ execution_id }) {
     return batches;
   };
 
-  // Helper to parse user action names from SLO filter expressions
-  const parseUserActionsFromFilter = (filter) => {
-    if (!filter) return [];
+  // Helper to calculate how fast the error budget is being consumed
+  // Returns null when there is no data or the target leaves no budget (100%)
+  const calcBurnRate = (status, target) => {
+    if (status == null || status < 0) return null;
+    const allowedErrorRate = 100 - target;
+    if (allowedErrorRate <= 0) return null;
+    return (100 - status) / allowedErrorRate;
+  };
+
+  // Days per unit of an SLO timeframe
+  const SLO_TIMEFRAME_UNIT_DAYS = { h: 1 / 24, d: 1, w: 7, M: 30, y: 365 };
 
-    const normalizedFilter = filter.replace(/\n/g, '').replace(/\s+/g, ' ');
-    const userActions = [];
+  // Helper to read an SLO's timeframe ("-30d", "-1w", "now-1M") as a number of days
+  // Returns null for timeframes that aren't one relative duration
+  const getSloWindowDays = (timeframe) => {
+    const match = /^(?:now)?-(\d+)([hdwMy])$/.exec(String(timeframe || "").trim());
+    if (!match) return null;
+    return Math.max(1, Math.round(Number(match[1]) * SLO_TIMEFRAME_UNIT_DAYS[match[2]]));
+  };
 
-    // Match IN() syntax: entityname.in("action1","action2")
-    const inMatch = normalizedFilter.match(/entityname\.in\s*\(\s*([^)]+)\)/i);
-    if (inMatch) {
-      const quotedStrings = inMatch[1].match(/"([^"]+)"/g);
-      if (quotedStrings) {
-        for (const qs of quotedStrings) {
-          const action = qs.replace(/^"|"$/g, '');
-          if (action && action.trim()) {
-            userActions.push(action.trim());
+  // Helper to list all enabled SLOs matching a selector
+  // Follows nextPageKey until every page has been read
+  // (follow-up pages must only pass the nextPageKey)
+  const listSlos = async (sloSelector) => {
+    const DISCOVERY_PAGE_SIZE = 500; // max pageSize without evaluation
+    const slos = [];
+    let nextPageKey = null;
+
+    do {
+      const pageKey = nextPageKey;
+      const data = await fetchWithRetry("discovery", sloSelector || "all SLOs", null, () => pageKey
+        ? serviceLevelObjectivesClient.getSlo({ nextPageKey: pageKey })
+        : serviceLevelObjectivesClient.getSlo({
+          sloSelector: sloSelector,
+          pageSize: DISCOVERY_PAGE_SIZE,
+          enabledSlos: "true",
+          evaluate: false
+        }));
+
+      for (const slo of data.slo || []) {
+        slos.push(slo);
+      }
+      nextPageKey = data.nextPageKey;
+    } while (nextPageKey);
+
+    return slos;
+  };
+
+  // Helper to escape a value for an entity selector ("..." with ~ as escape character)
+  const escapeSelectorValue = (value) => String(value).replace(/~/g, "~~").replace(/"/g, '~"');
+
+  // Helper to list all entities matching an entity selector
+  // Follows nextPageKey like listSlos; every page is one request of the stage
+  const listEntities = async (stage, target, sloIds, entitySelector, fields) => {
+    const entities = [];
+    let nextPageKey = null;
+
+    do {
+      const pageKey = nextPageKey;
+      const data = await fetchWithRetry(stage, target, sloIds, () => pageKey
+        ? monitoredEntitiesClient.getEntities({ nextPageKey: pageKey })
+        : monitoredEntitiesClient.getEntities({
+          entitySelector: entitySelector,
+          fields: fields,
+          pageSize: ENTITY_PAGE_SIZE
+        }));
+
+      for (const entity of data.entities || []) {
+        entities.push(entity);
+      }
+      nextPageKey = data.nextPageKey;
+    } while (nextPageKey);
+
+    return entities;
+  };
+
+  // Helper to turn a name pattern with * wildcards into a regex
+  const patternToRegex = (pattern) => new RegExp(
+    "^" + pattern.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*") + "$",
+    "i"
+  );
+
+  // Helper to check if an SLO's entity filter or metric expression
+  // contains a selector function, e.g. tag("team:checkout") or mzName("Prod")
+  // Quotes and escapes are ignored so both filter and metric expression forms match
+  const usesSelector = (slo, functionNames, value) => {
+    const normalize = (text) => (text || "").replace(/[\\"']/g, "").replace(/\s+/g, "").toLowerCase();
+    const haystack = normalize(slo.filter) + " " + normalize(slo.metricExpression);
+    return functionNames.some(fn => haystack.includes(normalize(fn + "(" + value + ")")));
+  };
+
+  // Helper to resolve explicit SLO IDs plus discovery rules to a list of IDs
+  // Selectors are resolved by the API; name patterns, tags and management
+  // zones are matched against the full SLO list. Explicit IDs come first,
+  // excludeSloIds are removed last.
+  const resolveSloIds = async (explicitIds, discovery) => {
+    const rules = Object.assign({ selectors: [], namePatterns: [], tags: [], managementZones: [], excludeSloIds: [] }, discovery || {});
+    const resolvedIds = explicitIds.slice();
+    const addSloId = (id) => {
+      if (!resolvedIds.includes(id)) resolvedIds.push(id);
+    };
+
+    // Selectors are resolved in parallel, their SLOs added in selector order
+    const selectorMatches = await mapConcurrently(rules.selectors, maxConcurrentRequests, async (selector) => {
+      try {
+        const slos = await listSlos(selector);
+        console.log("Selector " + selector + " matched " + slos.length + " SLOs");
+        return slos;
+      } catch (error) {
+        console.error("Error resolving SLO selector " + selector + ": " + error.message);
+        return [];
+      }
+    });
+    selectorMatches.forEach(slos => slos.forEach(slo => addSloId(slo.id)));
+
+    const hasListRules = rules.namePatterns.length + rules.tags.length + rules.managementZones.length > 0;
+
+    if (hasListRules) {
+      try {
+        const allSlos = await listSlos(undefined);
+        const namePatterns = rules.namePatterns.map(patternToRegex);
+
+        for (const slo of allSlos) {
+          const matchesName = namePatterns.some(regex => regex.test(slo.name));
+          const matchesTag = rules.tags.some(tag => usesSelector(slo, ["tag"], tag));
+          const matchesZone = rules.managementZones.some(zone => usesSelector(slo, ["mzName", "mzId"], zone));
+
+          if (matchesName || matchesTag || matchesZone) {
+            addSloId(slo.id);
           }
         }
+
+        console.log("Matched name patterns, tags and management zones against " + allSlos.length + " SLOs");
+      } catch (error) {
+        console.error("Error listing SLOs for discovery: " + error.message);
+      }
+    }
+
+    const ids = resolvedIds.filter(id => !rules.excludeSloIds.includes(id));
+    console.log("Resolved " + ids.length + " SLOs (" + explicitIds.length + " configured, " + (resolvedIds.length - explicitIds.length) + " discovered, " + (resolvedIds.length - ids.length) + " excluded)");
+    return ids;
+  };
+
+  // Severity ranking used to pick the worst firing rule
+  const SEVERITY_RANK = { none: 0, ticket: 1, page: 2 };
+
+  // Helper to get the type of a synthetic monitor from its ID
+  const getSyntheticType = (syntheticId) => syntheticId.indexOf("HTTP_CHECK-") === 0 ? "HTTP" : "BROWSER";
+
+  // Helper to get an SLO's synthetic monitors: its syntheticSloConfig entries,
+  // plus the monitor IDs in its metric expression (discoverSyntheticMonitors)
+  // An SLO with at least one monitor is a synthetic SLO
+  const getSyntheticMonitors = (sloId, filter) => {
+    const monitors = (syntheticSloConfig[sloId] || []).map(monitor => ({
+      syntheticId: monitor.syntheticId,
+      syntheticName: monitor.syntheticName,
+      type: monitor.type || getSyntheticType(monitor.syntheticId),
+      source: "config"
+    }));
+
+    if (discoverSyntheticMonitors) {
+      for (const syntheticId of filter.syntheticMonitorIds) {
+        if (!monitors.some(monitor => monitor.syntheticId === syntheticId)) {
+          monitors.push({ syntheticId: syntheticId, syntheticName: null, type: getSyntheticType(syntheticId), source: "metricExpression" });
+        }
+      }
+    }
+
+    return monitors;
+  };
+
+  // ============================================
+  // REPORT DOMAINS
+  // Resolves every domain's SLO IDs; SLOs are fetched
+  // once for all domains. Without reportDomains, sloIds
+  // and sloDiscovery form a single default domain.
+  // ============================================
+  const domains = reportDomains.length > 0
+    ? reportDomains
+    : [{ id: "default", name: null, sloIds: sloIds, sloDiscovery: sloDiscovery }];
+
+  const domainSloIds = {};
+  const reportSloIds = [];
+
+  for (const domain of domains) {
+    domainSloIds[domain.id] = await resolveSloIds(domain.sloIds || [], domain.sloDiscovery);
+    console.log("Domain " + (domain.name || domain.id) + ": " + domainSloIds[domain.id].length + " SLOs");
+
+    for (const id of domainSloIds[domain.id]) {
+      if (!reportSloIds.includes(id)) reportSloIds.push(id);
+    }
+  }
+
+  if (domains.length > 1) {
+    console.log("Reporting on " + reportSloIds.length + " unique SLOs across " + domains.length + " domains");
+  }
+
+  endPhase("discovery");
+
+  // ============================================
+  // BATCHING SETUP
+  // ============================================
+  const sloBatches = batchArray(reportSloIds, SLO_BATCH_SIZE);
+  console.log("Split " + reportSloIds.length + " SLOs into " + sloBatches.length + " batches");
+
+  // ============================================
+  // TIME PERIODS
+  // One period per evaluation window (see evaluationWindows)
+  // ============================================
+  const timePeriods = evaluationWindows.map(window => ({
+    name: window.name,
+    from: window.from,
+    to: "now"
+  }));
+
+  // Burn-rate windows are fetched alongside the evaluation windows
+  // Each unique window in burnRateRules is only fetched once
+  const burnRateWindows = [];
+  for (const rule of burnRateRules) {
+    for (const window of [rule.longWindow, rule.shortWindow]) {
+      if (!burnRateWindows.includes(window)) {
+        burnRateWindows.push(window);
+      }
+    }
+  }
+
+  const burnRatePeriods = burnRateWindows.map(window => ({
+    name: "burn_" + window,
+    from: "now-" + window,
+    to: "now"
+  }));
+
+  // ============================================
+  // FETCH SLO DATA (WITH BATCHING)
+  // Fetches each SLO at each time period; every
+  // period/batch combination is an independent request
+  // ============================================
+  const results = {};
+  // SLO IDs of the batches that failed, per period
+  const failedSloIdsByPeriod = {};
+
+  const allPeriods = timePeriods.concat(burnRatePeriods);
+  const sloRequests = [];
+  for (const period of allPeriods) {
+    results[period.name] = [];
+    failedSloIdsByPeriod[period.name] = [];
+
+    for (let batchIndex = 0; batchIndex < sloBatches.length; batchIndex++) {
+      sloRequests.push({ period: period, batchIndex: batchIndex });
+    }
+  }
+
+  await mapConcurrently(sloRequests, maxConcurrentRequests, async ({ period, batchIndex }) => {
+    const batch = sloBatches[batchIndex];
+    const batchSelector = 'id("' + batch.join('","') + '")';
+
+    try {
+      const data = await fetchWithRetry("slo", period.name + " batch " + (batchIndex + 1), batch, () => serviceLevelObjectivesClient.getSlo({
+        sloSelector: batchSelector,
+        timeFrame: "GTF",
+        from: period.from,
+        to: period.to,
+        pageSize: SLO_BATCH_SIZE,
+        evaluate: true
+      }));
+
+      const batchResults = data.slo || [];
+      results[period.name] = results[period.name].concat(batchResults);
+
+      console.log("Fetched batch " + (batchIndex + 1) + "/" + sloBatches.length + " for " + period.name + ": " + batchResults.length + " SLOs");
+    } catch (error) {
+      console.error("Error fetching " + period.name + " batch " + (batchIndex + 1) + ": " + error.message);
+      failedSloIdsByPeriod[period.name] = failedSloIdsByPeriod[period.name].concat(batch);
+    }
+  });
+
+  for (const period of allPeriods) {
+    console.log("Total " + period.name + ": " + results[period.name].length + " SLOs");
+  }
+
+  endPhase("slo");
+
+  // ============================================
+  // BUILD SLO REPORT
+  // Combine all time periods into a single object per SLO
+  // ============================================
+  const sloReport = reportSloIds.map(id => {
+    const sloWindows = {};
+    for (const window of evaluationWindows) {
+      sloWindows[window.name] = results[window.name].find(s => s.id === id);
+    }
+
+    // Use the most recent data for base info (name, target, filter)
+    const baseSlo = evaluationWindows
+      .slice()
+      .reverse()
+      .map(window => sloWindows[window.name])
+      .find(s => s);
+
+    // Parse user actions and their application from the SLO's metric expression filter
+    const userActionFilter = parseMetricFilter(baseSlo ? baseSlo.metricExpression : null);
+    if (userActionFilter.error) {
+      console.error("Could not parse the metric expression of SLO " + id + ": " + userActionFilter.error);
+      diagnostics.filterErrors.push({ sloId: id, sloName: baseSlo.name, message: userActionFilter.error });
+    }
+    const parsedApplication = userActionFilter.application;
+
+    // Check if this is a synthetic SLO
+    const syntheticMonitors = getSyntheticMonitors(id, userActionFilter);
+    const synthetic = syntheticMonitors.length > 0;
+
+    // Burn rate per window, based on the evaluated status in that window
+    const target = baseSlo ? (baseSlo.target || 0) : 0;
+    const burnRates = {};
+    for (const window of burnRateWindows) {
+      const sloWindow = results["burn_" + window].find(s => s.id === id);
+      burnRates[window] = sloWindow ? calcBurnRate(sloWindow.evaluatedPercentage, target) : null;
+    }
+
+    // Evaluate every rule; both windows must exceed the threshold
+    const burnRateAlerts = [];
+    for (const rule of burnRateRules) {
+      const longBurnRate = burnRates[rule.longWindow];
+      const shortBurnRate = burnRates[rule.shortWindow];
+      if (longBurnRate == null || shortBurnRate == null) continue;
+
+      if (longBurnRate >= rule.threshold && shortBurnRate >= rule.threshold) {
+        burnRateAlerts.push({
+          rule: rule.name,
+          severity: rule.severity,
+          longWindow: rule.longWindow,
+          shortWindow: rule.shortWindow,
+          threshold: rule.threshold,
+          longBurnRate: longBurnRate,
+          shortBurnRate: shortBurnRate
+        });
+      }
+    }
+
+    // Worst severity across all firing rules
+    let severity = "none";
+    for (const alert of burnRateAlerts) {
+      if (SEVERITY_RANK[alert.severity] > SEVERITY_RANK[severity]) {
+        severity = alert.severity;
+      }
+    }
+
+    // Evaluation windows whose batch failed (no data vs. not fetched)
+    const fetchFailed = evaluationWindows
+      .filter(window => failedSloIdsByPeriod[window.name].includes(id))
+      .map(window => window.name);
+    if (fetchFailed.length > 0) {
+      diagnostics.failedSloIds.push(id);
+    }
+
+    const sloEntry = {
+      id: id,
+      name: baseSlo ? baseSlo.name : (fetchFailed.length > 0 ? id : "Unknown SLO"),
+      target: target,
+      serviceIds: userActionFilter.serviceIds.concat(
+        getEntityFilterServiceIds(baseSlo ? baseSlo.filter : null).filter(serviceId => !userActionFilter.serviceIds.includes(serviceId))
+      ),
+      metricName: baseSlo ? baseSlo.metricName || null : null,
+      timeframe: baseSlo ? baseSlo.timeframe || null : null,
+      fetchFailed: fetchFailed
+    };
+
+    // One { status, errorBudget } entry per evaluation window
+    for (const window of evaluationWindows) {
+      const sloWindow = sloWindows[window.name];
+      sloEntry[window.name] = sloWindow ? { status: sloWindow.evaluatedPercentage, errorBudget: sloWindow.errorBudget } : null;
+    }
+
+    return Object.assign(sloEntry, {
+      burnRates: burnRates,
+      burnRateAlerts: burnRateAlerts,
+      severity: severity,
+      userAction: getUserActionNames(userActionFilter),
+      userActionFilter: userActionFilter,
+      // Actions matched by contains/startsWith patterns (see EXPAND USER ACTION PATTERNS)
+      matchedUserActions: null,
+      // Filled in by FLAG USER ACTIONS
+      attentionRules: [],
+      flaggedUserActions: [],
+      application: sloApplications[id] || (parsedApplication && parsedApplication.name) || null,
+      applicationId: (parsedApplication && parsedApplication.id) || null,
+      isSynthetic: synthetic,
+      syntheticMonitors: syntheticMonitors,
+      // Filled in by FETCH DAILY SLO SERIES
+      dailySeries: null,
+      budget: null,
+      // Filled in by CORRELATE FAILING SLOs
+      correlation: null
+    });
+  });
+
+  console.log("Built report for " + sloReport.length + " SLOs");
+
+  // ============================================
+  // RESOLVE APPLICATIONS
+  // SLOs scoped by application entity ID get the
+  // application's display name (USQL filters by name);
+  // everything else falls back to the domain's
+  // applicationName
+  // ============================================
+  const applicationIds = [];
+  for (const slo of sloReport) {
+    if (!slo.application && slo.applicationId && !applicationIds.includes(slo.applicationId)) {
+      applicationIds.push(slo.applicationId);
+    }
+  }
+
+  const applicationNamesById = {};
+  if (applicationIds.length > 0) {
+    try {
+      const entities = await listEntities(
+        "applications",
+        applicationIds.join(", "),
+        getSloIdsWhere(slo => applicationIds.includes(slo.applicationId)),
+        'type("APPLICATION"),entityId(' + applicationIds.map(appId => '"' + appId + '"').join(',') + ')'
+      );
+
+      for (const entity of entities) {
+        applicationNamesById[entity.entityId] = entity.displayName;
+      }
+    } catch (error) {
+      console.error("Error resolving application names: " + error.message);
+    }
+  }
+
+  for (const slo of sloReport) {
+    if (!slo.application) {
+      // The first domain listing the SLO decides its default application
+      const domain = domains.find(d => domainSloIds[d.id].includes(slo.id));
+      slo.application = applicationNamesById[slo.applicationId] || domain.applicationName || applicationName;
+    }
+  }
+
+  const applications = [];
+  for (const slo of sloReport) {
+    if (!applications.includes(slo.application)) {
+      applications.push(slo.application);
+    }
+  }
+
+  console.log("Applications: " + applications.join(", "));
+
+  // ============================================
+  // RESOLVE USER ACTION IDS
+  // SLOs filtered on user action entity IDs
+  // (APPLICATION_METHOD-...) get the actions' names,
+  // since USQL and the key user action lookup go by name
+  // ============================================
+  const userActionIds = [];
+  for (const slo of sloReport) {
+    for (const entityId of slo.userActionFilter.entityIds) {
+      if (!userActionIds.includes(entityId.id)) {
+        userActionIds.push(entityId.id);
+      }
+    }
+  }
+
+  const userActionNamesById = {};
+  if (userActionIds.length > 0) {
+    const idBatches = batchArray(userActionIds, ENTITY_BATCH_SIZE);
+
+    await mapConcurrently(idBatches, maxConcurrentRequests, async (idBatch, batchIndex) => {
+      try {
+        const entities = await listEntities(
+          "userActionIds",
+          "batch " + (batchIndex + 1),
+          getSloIdsWhere(slo => slo.userActionFilter.entityIds.some(entityId => idBatch.includes(entityId.id))),
+          'type("APPLICATION_METHOD"),entityId(' + idBatch.map(uaId => '"' + escapeSelectorValue(uaId) + '"').join(',') + ')'
+        );
+
+        for (const entity of entities) {
+          userActionNamesById[entity.entityId] = entity.displayName;
+        }
+      } catch (error) {
+        console.error("Error resolving user action IDs (batch " + (batchIndex + 1) + "): " + error.message);
+      }
+    });
+
+    for (const slo of sloReport) {
+      const entityIds = slo.userActionFilter.entityIds;
+      if (entityIds.length === 0) continue;
+
+      const excludedNames = entityIds
+        .filter(e => !e.include && userActionNamesById[e.id])
+        .map(e => userActionNamesById[e.id]);
+
+      for (const entityId of entityIds) {
+        const actionName = userActionNamesById[entityId.id];
+        if (!actionName) {
+          if (entityId.include) console.log("User action " + entityId.id + " of SLO " + slo.id + " not found");
+          continue;
+        }
+        if (entityId.include && !slo.userAction.includes(actionName)) {
+          slo.userAction.push(actionName);
+        }
+      }
+      slo.userAction = slo.userAction.filter(ua => !excludedNames.includes(ua));
+    }
+
+    console.log("Resolved " + Object.keys(userActionNamesById).length + " of " + userActionIds.length + " user action IDs");
+  }
+
+  endPhase("applications");
+
+  // ============================================
+  // FETCH USER ACTION METRICS (USQL)
+  // Queries completed user sessions for error counts
+  // and average duration per user action
+  // ============================================
+  // Keyed by application, then user action name:
+  // userActionMetrics["My App"]["click on Pay"]
+  const userActionMetrics = {};
+
+  // Metrics selected per user action, read back by readUserActionMetrics
+  const USER_ACTION_METRIC_COLUMNS = 'AVG(duration) AS avg_duration, ' +
+    'SUM(customErrorCount) AS total_customErrors, ' +
+    'SUM(javascriptErrorCount) AS total_jsErrors, ' +
+    'SUM(requestErrorCount) AS total_requestErrors, ' +
+    'COUNT(*) AS action_count, ' +
+    'PERCENTILE(duration, 50) AS p50_duration, ' +
+    'PERCENTILE(duration, 90) AS p90_duration, ' +
+    'PERCENTILE(duration, 95) AS p95_duration, ' +
+    'PERCENTILE(duration, 99) AS p99_duration';
+
+  // Helper to read the metrics of a "SELECT name, <USER_ACTION_METRIC_COLUMNS>" row
+  // errorRate: custom + JS + request errors per 1,000 actions
+  // apdex: filled in by FETCH USER ACTION APDEX (null when not available)
+  const readUserActionMetrics = (row) => {
+    const metrics = {
+      avgDuration: row[1] || 0,
+      customErrors: row[2] || 0,
+      jsErrors: row[3] || 0,
+      requestErrors: row[4] || 0,
+      actionCount: row[5] || 0,
+      p50Duration: row[6] != null ? row[6] : null,
+      p90Duration: row[7] != null ? row[7] : null,
+      p95Duration: row[8] != null ? row[8] : null,
+      p99Duration: row[9] != null ? row[9] : null,
+      errorRate: null,
+      apdex: null
+    };
+
+    if (metrics.actionCount > 0) {
+      metrics.errorRate = (metrics.customErrors + metrics.jsErrors + metrics.requestErrors) / metrics.actionCount * 1000;
+    }
+
+    return metrics;
+  };
+
+  // Helper to quote a string for USQL
+  const quoteUsql = (value) => '"' + value.replace(/"/g, '\\"') + '"';
+
+  // Helper to turn a parsed user action criterion into a USQL condition
+  // contains: name LIKE "*value*", startsWith: STARTSWITH(name, "value")
+  const toUsqlCondition = (criterion) => {
+    if (criterion.match === "contains") return 'name LIKE ' + quoteUsql('*' + criterion.value + '*');
+    if (criterion.match === "startsWith") return 'STARTSWITH(name, ' + quoteUsql(criterion.value) + ')';
+    return 'name = ' + quoteUsql(criterion.value);
+  };
+
+  // User action metrics cover the last 7 days ("current"); the
+  // 7 days before ("previous") are the baseline for regressions
+  const USER_ACTION_PERIOD_MS = 7 * 24 * 60 * 60 * 1000;
+  const userActionPeriodEnd = Date.now();
+  const userActionPeriods = {
+    current: { start: userActionPeriodEnd - USER_ACTION_PERIOD_MS, end: userActionPeriodEnd },
+    previous: { start: userActionPeriodEnd - 2 * USER_ACTION_PERIOD_MS, end: userActionPeriodEnd - USER_ACTION_PERIOD_MS }
+  };
+
+  // Helper to run a USQL query over one of the userActionPeriods (default: current)
+  // stage: the diagnostics stage of the request (default: usql)
+  const queryUserActions = (target, sloIds, query, period, stage) => fetchWithRetry(stage || "usql", target, sloIds, () => rumUserSessionsClient.getUsqlResultAsTable({
+    query: query,
+    startTimestamp: (period || userActionPeriods.current).start,
+    endTimestamp: (period || userActionPeriods.current).end
+  }));
+
+  // Helper to get the IDs of the SLOs with any of the user actions of an application
+  const getUserActionSloIds = (application, userActions) =>
+    getSloIdsWhere(slo => slo.application === application && (slo.userAction || []).some(ua => userActions.includes(ua)));
+
+  // ============================================
+  // EXPAND USER ACTION PATTERNS
+  // SLOs filtered with entityName.contains / startsWith
+  // match user actions by pattern, not by name. Each
+  // SLO's patterns become one LIKE / STARTSWITH query
+  // that returns the most used matching actions (up to
+  // maxMatchedUserActions) with their metrics. The
+  // matched names are added to the SLO's userAction.
+  // ============================================
+  const patternQueries = [];
+  for (const slo of sloReport) {
+    const patterns = slo.userActionFilter.userActions.filter(ua => ua.include && ua.match !== "equals");
+    if (slo.isSynthetic || patterns.length === 0) continue;
+
+    // Excluded names and patterns, including excluded entity IDs
+    const exclusions = slo.userActionFilter.userActions.filter(ua => !ua.include);
+    for (const entityId of slo.userActionFilter.entityIds) {
+      if (!entityId.include && userActionNamesById[entityId.id]) {
+        exclusions.push({ include: false, match: "equals", value: userActionNamesById[entityId.id] });
+      }
+    }
+
+    const query = 'SELECT name, ' + USER_ACTION_METRIC_COLUMNS + ' ' +
+      'FROM useraction ' +
+      'WHERE application = ' + quoteUsql(slo.application) + ' ' +
+      'AND (' + patterns.map(toUsqlCondition).join(' OR ') + ') ' +
+      exclusions.map(criterion => 'AND NOT ' + toUsqlCondition(criterion) + ' ').join('') +
+      'GROUP BY name ' +
+      'ORDER BY COUNT(*) DESC ' +
+      // One more than listed, to know whether more actions matched
+      'LIMIT ' + (maxMatchedUserActions + 1);
+
+    // SLOs with the same application and filter share one query
+    const existing = patternQueries.find(patternQuery => patternQuery.query === query);
+    if (existing) {
+      existing.slos.push(slo);
+    } else {
+      patternQueries.push({ query: query, application: slo.application, slos: [slo] });
+    }
+  }
+
+  if (patternQueries.length > 0) {
+    console.log("Expanding user action patterns of " + patternQueries.length + " SLO filter(s)");
+
+    await mapConcurrently(patternQueries, maxConcurrentRequests, async (patternQuery, queryIndex) => {
+      const target = patternQuery.application + " patterns of " + patternQuery.slos.map(slo => slo.id).join(", ");
+      const matchedNames = [];
+      let truncated = false;
+
+      try {
+        const response = await queryUserActions(target, patternQuery.slos.map(slo => slo.id), patternQuery.query);
+        const rows = response.values || [];
+        truncated = rows.length > maxMatchedUserActions;
+
+        const appMetrics = userActionMetrics[patternQuery.application] || (userActionMetrics[patternQuery.application] = {});
+        for (const row of rows.slice(0, maxMatchedUserActions)) {
+          matchedNames.push(row[0]);
+          appMetrics[row[0]] = readUserActionMetrics(row);
+        }
+
+        console.log("USQL pattern query " + (queryIndex + 1) + "/" + patternQueries.length + " (" + patternQuery.application + "): " + matchedNames.length + " matching actions" + (truncated ? " (more not listed)" : ""));
+      } catch (error) {
+        console.error("USQL pattern query " + (queryIndex + 1) + " error: " + error.message);
+      }
+
+      for (const slo of patternQuery.slos) {
+        slo.matchedUserActions = {
+          patterns: slo.userActionFilter.userActions
+            .filter(ua => ua.include && ua.match !== "equals")
+            .map(ua => ({ match: ua.match, value: ua.value })),
+          names: matchedNames,
+          truncated: truncated
+        };
+        for (const name of matchedNames) {
+          if (!slo.userAction.includes(name)) {
+            slo.userAction.push(name);
+          }
+        }
+      }
+    });
+  }
+
+  // ============================================
+  // FETCH USER ACTION METRICS BY NAME
+  // ============================================
+  // User actions grouped per application, so same-named actions
+  // in different applications are queried (and keyed) separately
+  const userActionsByApplication = {};
+  for (const slo of sloReport) {
+    if (!slo.isSynthetic && slo.userAction && slo.userAction.length > 0) {
+      const appActions = userActionsByApplication[slo.application] || (userActionsByApplication[slo.application] = []);
+      for (const ua of slo.userAction) {
+        if (!appActions.includes(ua)) {
+          appActions.push(ua);
+        }
+      }
+    }
+  }
+
+  // Flat list of { application, userAction } pairs
+  // (pattern-matched actions already have their metrics)
+  const allUserActions = [];
+  for (const [appName, appActions] of Object.entries(userActionsByApplication)) {
+    for (const ua of appActions) {
+      if (!(userActionMetrics[appName] || {})[ua]) {
+        allUserActions.push({ application: appName, userAction: ua });
+      }
+    }
+  }
+
+  console.log("Total unique user actions to query: " + allUserActions.length + " across " + Object.keys(userActionsByApplication).length + " applications");
+
+  // USQL batches never mix applications
+  const uaBatches = [];
+  for (const appName of Object.keys(userActionsByApplication)) {
+    const appActions = allUserActions.filter(ua => ua.application === appName).map(ua => ua.userAction);
+    for (const batch of batchArray(appActions, USQL_BATCH_SIZE)) {
+      uaBatches.push({ application: appName, userActions: batch });
+    }
+  }
+
+  if (uaBatches.length > 0) {
+    console.log("Split " + allUserActions.length + " user actions into " + uaBatches.length + " USQL batches");
+
+    await mapConcurrently(uaBatches, maxConcurrentRequests, async (uaBatch, batchIndex) => {
+      const batch = uaBatch.userActions;
+      const batchApplication = uaBatch.application;
+
+      const query = 'SELECT name, ' + USER_ACTION_METRIC_COLUMNS + ' ' +
+        'FROM useraction ' +
+        'WHERE application = ' + quoteUsql(batchApplication) + ' ' +
+        'AND name IN (' + batch.map(quoteUsql).join(', ') + ') ' +
+        'GROUP BY name';
+
+      try {
+        const response = await queryUserActions(batchApplication + " batch " + (batchIndex + 1), getUserActionSloIds(batchApplication, batch), query);
+
+        if (response.values) {
+          const appMetrics = userActionMetrics[batchApplication] || (userActionMetrics[batchApplication] = {});
+          for (const row of response.values) {
+            appMetrics[row[0]] = readUserActionMetrics(row);
+          }
+        }
+
+        console.log("USQL batch " + (batchIndex + 1) + "/" + uaBatches.length + " (" + batchApplication + "): " + (response.values ? response.values.length : 0) + " results");
+      } catch (error) {
+        console.error("USQL batch " + (batchIndex + 1) + " error: " + error.message);
       }
-    }
+    });
+  }
 
-    // Match equals() syntax: entityname.equals("action")
-    const equalsMatch = normalizedFilter.match(/entityname\.equals\s*\(\s*"([^"]+)"\s*\)/i);
-    if (equalsMatch) {
-      userActions.push(equalsMatch[1].trim());
+  // ============================================
+  // FETCH USER ACTION APDEX
+  // Apdex = (satisfied + tolerating / 2) / all actions,
+  // from the apdexCategory of each action. Actions
+  // without an Apdex category keep apdex: null.
+  // ============================================
+  // Batches of every action with current metrics (also used for the previous period)
+  const metricBatches = [];
+  for (const [appName, appMetrics] of Object.entries(userActionMetrics)) {
+    for (const batch of batchArray(Object.keys(appMetrics), USQL_BATCH_SIZE)) {
+      metricBatches.push({ application: appName, userActions: batch });
     }
+  }
 
-    // Match contains() syntax: entityname.contains("action")
-    const containsMatch = normalizedFilter.match(/entityname\.contains\s*\(\s*"([^"]+)"\s*\)/i);
-    if (containsMatch) {
-      userActions.push(containsMatch[1].trim());
-    }
+  await mapConcurrently(metricBatches, maxConcurrentRequests, async (apdexBatch, batchIndex) => {
+    const batchApplication = apdexBatch.application;
 
-    return userActions;
-  };
+    const query = 'SELECT name, apdexCategory, COUNT(*) AS action_count ' +
+      'FROM useraction ' +
+      'WHERE application = ' + quoteUsql(batchApplication) + ' ' +
+      'AND name IN (' + apdexBatch.userActions.map(quoteUsql).join(', ') + ') ' +
+      'GROUP BY name, apdexCategory';
 
-  // Helper to check if an SLO is synthetic-based
-  const isSyntheticSlo = (sloId) => {
-    return syntheticSloConfig.hasOwnProperty(sloId);
-  };
+    try {
+      const response = await queryUserActions(batchApplication + " Apdex batch " + (batchIndex + 1), getUserActionSloIds(batchApplication, apdexBatch.userActions), query);
 
-  // ============================================
-  // BATCHING SETUP
-  // ============================================
-  const sloBatches = batchArray(sloIds, SLO_BATCH_SIZE);
-  console.log("Split " + sloIds.length + " SLOs into " + sloBatches.length + " batches");
+      // name -> { SATISFIED, TOLERATING, FRUSTRATED }
+      const categoryCounts = {};
+      for (const row of response.values || []) {
+        const counts = categoryCounts[row[0]] || (categoryCounts[row[0]] = { SATISFIED: 0, TOLERATING: 0, FRUSTRATED: 0 });
+        if (counts[row[1]] != null) {
+          counts[row[1]] += row[2] || 0;
+        }
+      }
 
-  // ============================================
-  // TIME PERIODS
-  // These define the evaluation windows for SLO data
-  // ============================================
-  const timePeriods = [
-    { name: "day90", from: "now-90d", to: "now" },
-    { name: "day30", from: "now-30d", to: "now" },
-    { name: "day7", from: "now-7d", to: "now" },
-    { name: "current", from: "now-1d", to: "now" }
-  ];
+      for (const [actionName, counts] of Object.entries(categoryCounts)) {
+        const total = counts.SATISFIED + counts.TOLERATING + counts.FRUSTRATED;
+        const metrics = userActionMetrics[batchApplication][actionName];
+        if (metrics && total > 0) {
+          metrics.apdex = (counts.SATISFIED + counts.TOLERATING / 2) / total;
+        }
+      }
+    } catch (error) {
+      console.error("USQL Apdex batch " + (batchIndex + 1) + " error: " + error.message);
+    }
+  });
 
   // ============================================
-  // FETCH SLO DATA (WITH BATCHING)
-  // Fetches each SLO at each time period
+  // FETCH PREVIOUS PERIOD USER ACTION METRICS
+  // The same metrics for the 7 days before, for every
+  // action with current metrics, so build_markdown_email
+  // can show deltas and detect regressions
+  // (fetchPreviousUserActionMetrics = false skips this)
   // ============================================
-  const results = {};
+  // Keyed like userActionMetrics (apdex is not fetched for the previous period)
+  const previousUserActionMetrics = {};
 
-  for (const period of timePeriods) {
-    results[period.name] = [];
+  if (fetchPreviousUserActionMetrics) {
+    await mapConcurrently(metricBatches, maxConcurrentRequests, async (previousBatch, batchIndex) => {
+      const batchApplication = previousBatch.application;
 
-    for (let batchIndex = 0; batchIndex < sloBatches.length; batchIndex++) {
-      const batch = sloBatches[batchIndex];
-      const batchSelector = 'id("' + batch.join('","') + '")';
+      const query = 'SELECT name, ' + USER_ACTION_METRIC_COLUMNS + ' ' +
+        'FROM useraction ' +
+        'WHERE application = ' + quoteUsql(batchApplication) + ' ' +
+        'AND name IN (' + previousBatch.userActions.map(quoteUsql).join(', ') + ') ' +
+        'GROUP BY name';
 
       try {
-        const data = await serviceLevelObjectivesClient.getSlo({
-          sloSelector: batchSelector,
-          timeFrame: "GTF",
-          from: period.from,
-          to: period.to,
-          pageSize: SLO_BATCH_SIZE,
-          evaluate: true
-        });
-
-        const batchResults = data.slo || [];
-        results[period.name] = results[period.name].concat(batchResults);
+        const response = await queryUserActions(batchApplication + " previous period batch " + (batchIndex + 1), getUserActionSloIds(batchApplication, previousBatch.userActions), query, userActionPeriods.previous);
 
-        console.log("Fetched batch " + (batchIndex + 1) + "/" + sloBatches.length + " for " + period.name + ": " + batchResults.length + " SLOs");
+        const appMetrics = previousUserActionMetrics[batchApplication] || (previousUserActionMetrics[batchApplication] = {});
+        for (const row of response.values || []) {
+          appMetrics[row[0]] = readUserActionMetrics(row);
+        }
       } catch (error) {
-        console.error("Error fetching " + period.name + " batch " + (batchIndex + 1) + ": " + error.message);
+        console.error("USQL previous period batch " + (batchIndex + 1) + " error: " + error.message);
       }
-    }
+    });
 
-    console.log("Total " + period.name + ": " + results[period.name].length + " SLOs");
+    console.log("Previous period metrics for " + Object.values(previousUserActionMetrics).reduce((sum, appMetrics) => sum + Object.keys(appMetrics).length, 0) + " user actions");
   }
 
+  endPhase("usql");
+
   // ============================================
-  // BUILD SLO REPORT
-  // Combine all time periods into a single object per SLO
+  // FLAG USER ACTIONS
+  // A user action needs attention when any enabled rule
+  // of report.userActionRules fires for its metrics, e.g.
+  // "errorRate above 10" or "p90Duration above 3000".
+  // Rules with baseline "application" compare against
+  // the median of all actions of the SLO's application.
+  // Flagged actions are ranked by their score: for every
+  // fired rule, weight x how far the metric is past the
+  // rule's limit (value / limit, capped at 10). Each SLO
+  // gets its rules (attentionRules, overrides applied)
+  // and its flaggedUserActions, highest score first;
+  // build_markdown_email lists the first
+  // report.maxFlaggedUserActions of them.
   // ============================================
-  const sloReport = sloIds.map(id => {
-    const slo90 = results.day90.find(s => s.id === id);
-    const slo30 = results.day30.find(s => s.id === id);
-    const slo7 = results.day7.find(s => s.id === id);
-    const sloCurrent = results.current.find(s => s.id === id);
+  const MAX_RULE_SCORE = 10;
 
-    // Use the most recent data for base info (name, target, filter)
-    const baseSlo = sloCurrent || slo7 || slo30 || slo90;
+  // Helper to get the rules of an SLO, with its report.userActionRuleOverrides applied
+  const getAttentionRules = (sloId) => {
+    const overrides = config.report.userActionRuleOverrides[sloId] || {};
+    return config.report.userActionRules.map(rule => {
+      const override = overrides[rule.name] || {};
+      const merged = Object.assign({}, rule);
+      for (const key of Object.keys(override)) {
+        if (override[key] != null) merged[key] = override[key];
+      }
+      return merged;
+    }).filter(rule => rule.enabled);
+  };
 
-    // Parse user actions from the SLO's metric expression filter
-    const userActions = baseSlo ? parseUserActionsFromFilter(baseSlo.metricExpression) : [];
+  // Helper to read a metric of a user action (totalErrors is derived)
+  const getMetricValue = (metrics, metric) => {
+    if (metric === "totalErrors") return (metrics.customErrors || 0) + (metrics.jsErrors || 0) + (metrics.requestErrors || 0);
+    return metrics[metric] != null ? metrics[metric] : null;
+  };
 
-    // Check if this is a synthetic SLO
-    const synthetic = isSyntheticSlo(id);
+  // Median of each metric across an application's actions, by application
+  const applicationMedians = {};
 
-    return {
-      id: id,
-      name: baseSlo ? baseSlo.name : "Unknown SLO",
-      target: baseSlo ? (baseSlo.target || 0) : 0,
-      day90: slo90 ? { status: slo90.evaluatedPercentage, errorBudget: slo90.errorBudget } : null,
-      day30: slo30 ? { status: slo30.evaluatedPercentage, errorBudget: slo30.errorBudget } : null,
-      day7: slo7 ? { status: slo7.evaluatedPercentage, errorBudget: slo7.errorBudget } : null,
-      current: sloCurrent ? { status: sloCurrent.evaluatedPercentage, errorBudget: sloCurrent.errorBudget } : null,
-      userAction: userActions,
-      isSynthetic: synthetic,
-      syntheticConfig: synthetic ? syntheticSloConfig[id] : null
-    };
-  });
+  // Helper to get the median of a metric across an application's actions (null without data)
+  const getApplicationMedian = (application, metric) => {
+    const medians = applicationMedians[application] || (applicationMedians[application] = {});
+    if (medians[metric] === undefined) {
+      const values = Object.values(userActionMetrics[application] || {})
+        .map(metrics => getMetricValue(metrics, metric))
+        .filter(value => value != null)
+        .sort((a, b) => a - b);
+      const middle = Math.floor(values.length / 2);
+      medians[metric] = values.length === 0 ? null
+        : (values.length % 2 === 1 ? values[middle] : (values[middle - 1] + values[middle]) / 2);
+    }
+    return medians[metric];
+  };
 
-  console.log("Built report for " + sloReport.length + " SLOs");
+  // Helper to evaluate an SLO's rules for one of its user actions
+  // Returns { firedRules (rule names), score }; no fired rules = no attention needed
+  const evaluateAttention = (slo, metrics) => {
+    const firedRules = [];
+    let score = 0;
+    if (!metrics) return { firedRules: firedRules, score: score };
+
+    for (const rule of slo.attentionRules) {
+      if ((metrics.actionCount || 0) < rule.minActions) continue;
+
+      const value = getMetricValue(metrics, rule.metric);
+      if (value == null) continue;
+
+      let limit = rule.threshold;
+      if (rule.baseline === "application") {
+        const median = getApplicationMedian(slo.application, rule.metric);
+        if (!median) continue;
+        limit = rule.threshold * median;
+      }
+
+      const fires = rule.operator === "below" ? value <= limit : value >= limit;
+      if (!fires) continue;
+
+      firedRules.push(rule.name);
+      const distance = rule.operator === "below" ? limit / value : value / limit;
+      score += rule.weight * Math.min(isFinite(distance) ? distance : MAX_RULE_SCORE, MAX_RULE_SCORE);
+    }
+
+    return { firedRules: firedRules, score: score };
+  };
+
+  for (const slo of sloReport) {
+    if (slo.isSynthetic) continue;
+
+    slo.attentionRules = getAttentionRules(slo.id);
+    slo.flaggedUserActions = (slo.userAction || [])
+      .map(ua => Object.assign({ userAction: ua }, evaluateAttention(slo, (userActionMetrics[slo.application] || {})[ua])))
+      .filter(item => item.firedRules.length > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  console.log("Flagged user actions: " + sloReport.reduce((sum, slo) => sum + slo.flaggedUserActions.length, 0));
 
   // ============================================
-  // FETCH USER ACTION METRICS (USQL)
-  // Queries completed user sessions for error counts
-  // and average duration per user action
+  // FETCH SEGMENT BREAKDOWN OF FLAGGED USER ACTIONS
+  // Breaks the errors and duration of the flagged user
+  // actions the report lists (the first
+  // report.maxFlaggedUserActions of each SLO, see FLAG
+  // USER ACTIONS) down by the dimensions of
+  // segmentBreakdown: one USQL query per application,
+  // batch and dimension. Shares are of all the action's
+  // traffic, errors and time; only the maxSegments
+  // busiest segments are kept.
   // ============================================
-  const allUserActions = [];
-  for (const slo of sloReport) {
-    if (!slo.isSynthetic && slo.userAction && slo.userAction.length > 0) {
-      for (const ua of slo.userAction) {
-        if (!allUserActions.includes(ua)) {
-          allUserActions.push(ua);
+  // Keyed like userActionMetrics, then by dimension:
+  // userActionSegments["My App"]["click on Pay"].browserFamily = [{ value, actionCount, ... }]
+  const userActionSegments = {};
+
+  // USQL's maximum result size
+  const SEGMENT_QUERY_LIMIT = 5000;
+
+  // Listed flagged actions: { application, userAction, score }, one per application and name
+  const flaggedUserActions = [];
+  if (segmentBreakdown.enabled && segmentBreakdown.dimensions.length > 0) {
+    for (const slo of sloReport) {
+      for (const item of slo.flaggedUserActions.slice(0, config.report.maxFlaggedUserActions)) {
+        const existing = flaggedUserActions.find(flagged => flagged.application === slo.application && flagged.userAction === item.userAction);
+        if (!existing) {
+          flaggedUserActions.push({ application: slo.application, userAction: item.userAction, score: item.score });
+        } else if (item.score > existing.score) {
+          existing.score = item.score;
         }
       }
     }
-  }
-
-  console.log("Total unique user actions to query: " + allUserActions.length);
 
-  const userActionMetrics = {};
+    flaggedUserActions.sort((a, b) => b.score - a.score);
+    if (flaggedUserActions.length > segmentBreakdown.maxActions) {
+      console.log("Breaking down the " + segmentBreakdown.maxActions + " highest scored of " + flaggedUserActions.length + " flagged user actions");
+      flaggedUserActions.length = segmentBreakdown.maxActions;
+    }
+  }
 
-  if (allUserActions.length > 0) {
-    const uaBatches = batchArray(allUserActions, USQL_BATCH_SIZE);
-    console.log("Split " + allUserActions.length + " user actions into " + uaBatches.length + " USQL batches");
+  // One query per application batch and dimension
+  const segmentQueries = [];
+  for (const appName of Object.keys(userActionMetrics)) {
+    const appActions = flaggedUserActions.filter(item => item.application === appName).map(item => item.userAction);
+    for (const batch of batchArray(appActions, USQL_BATCH_SIZE)) {
+      for (const dimension of segmentBreakdown.dimensions) {
+        segmentQueries.push({ application: appName, userActions: batch, dimension: dimension });
+      }
+    }
+  }
 
-    for (let batchIndex = 0; batchIndex < uaBatches.length; batchIndex++) {
-      const batch = uaBatches[batchIndex];
+  if (segmentQueries.length > 0) {
+    console.log("Breaking down " + flaggedUserActions.length + " flagged user actions by " + segmentBreakdown.dimensions.join(", ") + " (" + segmentQueries.length + " USQL queries)");
 
-      // Build the IN() clause for this batch
-      const inClause = batch.map(ua => '"' + ua.replace(/"/g, '\\"') + '"').join(', ');
+    await mapConcurrently(segmentQueries, maxConcurrentRequests, async (segmentQuery, queryIndex) => {
+      const batchApplication = segmentQuery.application;
 
-      const query = 'SELECT name, ' +
-        'AVG(duration) AS avg_duration, ' +
+      const query = 'SELECT name, usersession.' + segmentQuery.dimension + ', ' +
+        'COUNT(*) AS action_count, ' +
         'SUM(customErrorCount) AS total_customErrors, ' +
         'SUM(javascriptErrorCount) AS total_jsErrors, ' +
-        'SUM(requestErrorCount) AS total_requestErrors ' +
+        'SUM(requestErrorCount) AS total_requestErrors, ' +
+        'AVG(duration) AS avg_duration ' +
         'FROM useraction ' +
-        'WHERE application = "' + applicationName + '" ' +
-        'AND name IN (' + inClause + ') ' +
-        'GROUP BY name';
+        'WHERE application = ' + quoteUsql(batchApplication) + ' ' +
+        'AND name IN (' + segmentQuery.userActions.map(quoteUsql).join(', ') + ') ' +
+        'GROUP BY name, usersession.' + segmentQuery.dimension + ' ' +
+        'ORDER BY COUNT(*) DESC ' +
+        'LIMIT ' + SEGMENT_QUERY_LIMIT;
 
       try {
-        const response = await rumUserSessionsClient.getUsqlResultAsTable({
-          query: query,
-          startTimestamp: Date.now() - (7 * 24 * 60 * 60 * 1000),
-          endTimestamp: Date.now()
-        });
+        const response = await queryUserActions(batchApplication + " " + segmentQuery.dimension + " segments " + (queryIndex + 1), getUserActionSloIds(batchApplication, segmentQuery.userActions), query, null, "segments");
 
-        if (response.values) {
-          for (const row of response.values) {
-            const actionName = row[0];
-            userActionMetrics[actionName] = {
-              avgDuration: row[1] || 0,
-              customErrors: row[2] || 0,
-              jsErrors: row[3] || 0,
-              requestErrors: row[4] || 0
-            };
-          }
+        // name -> [{ value, actionCount, errors, totalDuration }]
+        const rowsByAction = {};
+        for (const row of response.values || []) {
+          const segments = rowsByAction[row[0]] || (rowsByAction[row[0]] = []);
+          const actionCount = row[2] || 0;
+          segments.push({
+            value: row[1] != null && row[1] !== "" ? String(row[1]) : null,
+            actionCount: actionCount,
+            errors: (row[3] || 0) + (row[4] || 0) + (row[5] || 0),
+            totalDuration: (row[6] || 0) * actionCount
+          });
         }
 
-        console.log("USQL batch " + (batchIndex + 1) + "/" + uaBatches.length + ": " + (response.values ? response.values.length : 0) + " results");
+        for (const [actionName, segments] of Object.entries(rowsByAction)) {
+          // A single segment (e.g. no app versions for web applications) tells nothing
+          if (segments.length < 2) continue;
+
+          const totalActions = segments.reduce((sum, segment) => sum + segment.actionCount, 0);
+          const totalErrors = segments.reduce((sum, segment) => sum + segment.errors, 0);
+          const totalDuration = segments.reduce((sum, segment) => sum + segment.totalDuration, 0);
+          if (totalActions === 0) continue;
+
+          const appSegments = userActionSegments[batchApplication] || (userActionSegments[batchApplication] = {});
+          const actionSegments = appSegments[actionName] || (appSegments[actionName] = {});
+          actionSegments[segmentQuery.dimension] = segments
+            .sort((a, b) => b.actionCount - a.actionCount)
+            .slice(0, segmentBreakdown.maxSegments)
+            .map(segment => ({
+              value: segment.value,
+              actionCount: segment.actionCount,
+              trafficShare: segment.actionCount / totalActions,
+              errors: segment.errors,
+              errorShare: totalErrors > 0 ? segment.errors / totalErrors : null,
+              avgDuration: segment.actionCount > 0 ? segment.totalDuration / segment.actionCount : null,
+              durationShare: totalDuration > 0 ? segment.totalDuration / totalDuration : null
+            }));
+        }
       } catch (error) {
-        console.error("USQL batch " + (batchIndex + 1) + " error: " + error.message);
+        console.error("USQL segment query " + (queryIndex + 1) + " error: " + error.message);
       }
-    }
+    });
   }
 
+  endPhase("segments");
+
   // ============================================
   // FETCH USER ACTION ENTITY IDs (FOR DEEP LINKS)
   // Looks up entity IDs so we can build clickable URLs
   // Note: User actions must be marked as "Key User Actions"
   // in Dynatrace to receive entity IDs
+  // One entityName.in(...) lookup per application and
+  // batch of ENTITY_BATCH_SIZE actions, instead of one
+  // request per user action
   // ============================================
+  // Keyed like userActionMetrics: userActionEntities[application][userAction]
   const userActionEntities = {};
+  let userActionEntityCount = 0;
+
+  const entityBatches = [];
+  for (const [appName, appActions] of Object.entries(userActionsByApplication)) {
+    for (const batch of batchArray(appActions, ENTITY_BATCH_SIZE)) {
+      entityBatches.push({ application: appName, userActions: batch });
+    }
+  }
+
+  await mapConcurrently(entityBatches, maxConcurrentRequests, async (entityBatch, batchIndex) => {
+    const appName = entityBatch.application;
 
-  for (const ua of allUserActions) {
     try {
-      const response = await monitoredEntitiesClient.getEntities({
-        entitySelector: 'type("KEY_USER_ACTION"),entityName("' + ua + '")',
-        fields: '+fromRelationships',
-        pageSize: 1
-      });
+      const entities = await listEntities(
+        "entities",
+        appName + " batch " + (batchIndex + 1),
+        getUserActionSloIds(appName, entityBatch.userActions),
+        'type("KEY_USER_ACTION"),entityName.in(' + entityBatch.userActions.map(ua => '"' + escapeSelectorValue(ua) + '"').join(',') + '),' +
+          'fromRelationships.isActionOf(type("APPLICATION"),entityName.equals("' + escapeSelectorValue(appName) + '"))',
+        '+fromRelationships'
+      );
+
+      // entityName.in(...) ignores case, so prefer an exact match
+      // Actions without an entity are not Key User Actions
+      for (const ua of entityBatch.userActions) {
+        const entity = entities.find(e => e.displayName === ua) ||
+          entities.find(e => (e.displayName || "").toLowerCase() === ua.toLowerCase());
+        if (!entity) continue;
 
-      if (response.entities && response.entities.length > 0) {
-        const entity = response.entities[0];
         let applicationId = null;
 
         // Get the parent application ID from relationships
@@ -295,60 +2164,496 @@ export default async function ({ execution_id }) {
           }
         }
 
-        userActionEntities[ua] = {
+        const appEntities = userActionEntities[appName] || (userActionEntities[appName] = {});
+        appEntities[ua] = {
           entityId: entity.entityId,
           applicationId: applicationId
         };
+        userActionEntityCount++;
       }
     } catch (error) {
-      // Entity not found - user action may not be a Key User Action
-      console.log("No entity found for: " + ua.substring(0, 50) + "...");
+      console.error("Error looking up key user actions for " + appName + " (batch " + (batchIndex + 1) + "): " + error.message);
     }
-  }
+  });
 
-  console.log("Found entities for " + Object.keys(userActionEntities).length + "/" + allUserActions.length + " user actions");
+  console.log("Found entities for " + userActionEntityCount + "/" + allUserActions.length + " user actions in " + entityBatches.length + " lookups");
+
+  endPhase("entities");
 
   // ============================================
   // FETCH SYNTHETIC AVAILABILITY (IF APPLICABLE)
-  // Queries the metrics API for synthetic monitor
-  // availability over the last 7 days
+  // Queries the metrics API for each monitor's
+  // availability per location over the last 7 days,
+  // with the metric of the monitor type. Monitors
+  // without a syntheticName are named after their
+  // entity. Locations are sorted worst first.
   // ============================================
+  const SYNTHETIC_AVAILABILITY_METRICS = {
+    BROWSER: { metricKey: "builtin:synthetic.browser.availability.location.total", dimension: "dt.entity.synthetic_test" },
+    HTTP: { metricKey: "builtin:synthetic.http.availability.location.total", dimension: "dt.entity.http_check" }
+  };
+
+  // Every monitor once, even when several SLOs use it
+  const allSyntheticMonitors = [];
+  for (const slo of sloReport) {
+    for (const monitor of slo.syntheticMonitors) {
+      if (!allSyntheticMonitors.some(m => m.syntheticId === monitor.syntheticId)) {
+        allSyntheticMonitors.push(monitor);
+      }
+    }
+  }
+
+  // Names of the monitors that weren't configured with one
+  const unnamedMonitorIds = allSyntheticMonitors.filter(monitor => !monitor.syntheticName).map(monitor => monitor.syntheticId);
+  if (unnamedMonitorIds.length > 0) {
+    const monitorNames = {};
+    try {
+      const entities = await listEntities(
+        "synthetic",
+        "monitor names",
+        getSloIdsWhere(slo => slo.syntheticMonitors.some(monitor => unnamedMonitorIds.includes(monitor.syntheticId))),
+        'entityId(' + unnamedMonitorIds.map(syntheticId => '"' + syntheticId + '"').join(',') + ')'
+      );
+      for (const entity of entities) {
+        monitorNames[entity.entityId] = entity.displayName;
+      }
+    } catch (error) {
+      console.error("Error looking up synthetic monitor names: " + error.message);
+    }
+
+    for (const slo of sloReport) {
+      for (const monitor of slo.syntheticMonitors) {
+        if (!monitor.syntheticName) {
+          monitor.syntheticName = monitorNames[monitor.syntheticId] || monitor.syntheticId;
+        }
+      }
+    }
+  }
+
+  // Keyed by monitor ID: { type, avgAvailability, locationCount, locations: [{ id, name, availability }] }
   const syntheticMetrics = {};
 
-  for (const [sloId, config] of Object.entries(syntheticSloConfig)) {
+  await mapConcurrently(allSyntheticMonitors, maxConcurrentRequests, async (monitor) => {
+    const monitorName = monitor.syntheticName || monitor.syntheticId;
+
     try {
-      const metricSelector = 'builtin:synthetic.browser.availability.location.total:filter(eq("dt.entity.synthetic_test","' + config.syntheticId + '")):avg';
+      const availabilityMetric = SYNTHETIC_AVAILABILITY_METRICS[monitor.type];
+      const metricSelector = availabilityMetric.metricKey +
+        ':filter(eq("' + availabilityMetric.dimension + '","' + monitor.syntheticId + '"))' +
+        ':splitBy("dt.entity.synthetic_location"):avg:names';
 
-      const response = await metricsClient.query({
+      const response = await fetchWithRetry("synthetic", monitorName, getSloIdsWhere(slo => slo.syntheticMonitors.some(m => m.syntheticId === monitor.syntheticId)), () => metricsClient.query({
         metricSelector: metricSelector,
         from: "now-7d",
         to: "now",
         resolution: "Inf"
-      });
+      }));
+
+      // One series per location
+      const series = response.result && response.result.length > 0 ? (response.result[0].data || []) : [];
+      const locations = [];
+      for (const dataPoint of series) {
+        const validValues = (dataPoint.values || []).filter(v => v != null);
+        if (validValues.length === 0) continue;
+
+        const dimensionMap = dataPoint.dimensionMap || {};
+        const locationId = dimensionMap["dt.entity.synthetic_location"] || (dataPoint.dimensions || [])[0] || null;
+        locations.push({
+          id: locationId,
+          name: dimensionMap["dt.entity.synthetic_location.name"] || locationId || "Unknown location",
+          availability: validValues.reduce((a, b) => a + b, 0) / validValues.length
+        });
+      }
+
+      if (locations.length > 0) {
+        locations.sort((a, b) => a.availability - b.availability);
+        syntheticMetrics[monitor.syntheticId] = {
+          type: monitor.type,
+          avgAvailability: locations.reduce((sum, location) => sum + location.availability, 0) / locations.length,
+          locationCount: locations.length,
+          locations: locations
+        };
+      }
+
+      console.log("Synthetic " + monitorName + " (" + monitor.type + "): " + (syntheticMetrics[monitor.syntheticId] ? syntheticMetrics[monitor.syntheticId].avgAvailability.toFixed(2) + "% across " + locations.length + " locations" : "no data"));
+    } catch (error) {
+      console.error("Error fetching synthetic data for " + monitorName + ": " + error.message);
+    }
+  });
+
+  endPhase("synthetic");
+
+  // ============================================
+  // FETCH DAILY SLO SERIES
+  // Queries each SLO's status per complete day (up to
+  // yesterday) over its own window (func:slo.<metricName>),
+  // for the trend charts
+  // of the report (report.trendCharts), the auto-resolve
+  // check of create_tickets (tickets.autoResolve; the
+  // series covers at least requiredPassingDays) and the
+  // error budget forecast (budgetForecast):
+  //   - a day at burn rate 1 consumes 1/windowDays of the budget
+  //   - remaining: % of the budget left after the window's days
+  //   - dailyConsumption: % of the budget consumed per day,
+  //     averaged over the last rateDays days
+  //   - exhaustionDate: the first day on which the window's
+  //     consumption reaches the budget (null = not within
+  //     the next window)
+  // SLO windows are rolling: each day ahead adds a day at
+  // the recent rate and drops the window's oldest day, so
+  // old bad days stop counting. The forecast looks one
+  // window ahead: atRisk = exhausted before windowEnd.
+  // ============================================
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Helper to forecast an SLO's error budget from its daily series
+  // Returns null when no day has data or the target leaves no budget
+  const forecastErrorBudget = (series, target, windowDays) => {
+    const burnRates = series.map(point => calcBurnRate(point.status, target));
+    if (burnRates.every(burnRate => burnRate == null)) return null;
+
+    const daySharePercent = 100 / windowDays;
+    const consumed = burnRates.reduce((sum, burnRate) => sum + (burnRate || 0), 0) * daySharePercent;
+    const recentBurnRates = burnRates.slice(-budgetForecast.rateDays).filter(burnRate => burnRate != null);
+    const recentBurnRate = recentBurnRates.length > 0
+      ? recentBurnRates.reduce((sum, burnRate) => sum + burnRate, 0) / recentBurnRates.length
+      : 0;
+
+    const remaining = 100 - consumed;
+    const dailyConsumption = recentBurnRate * daySharePercent;
+
+    // Day by day: the window then holds its last (windowDays - day)
+    // observed days and `day` days at the recent rate
+    let daysToExhaustion = null;
+    if (remaining <= 0) {
+      daysToExhaustion = 0;
+    } else if (dailyConsumption > 0) {
+      for (let day = 1; day <= windowDays && daysToExhaustion == null; day++) {
+        const keptBurnRates = burnRates.slice(Math.max(0, burnRates.length - (windowDays - day)));
+        const windowConsumed = keptBurnRates.reduce((sum, burnRate) => sum + (burnRate || 0), 0) * daySharePercent + day * dailyConsumption;
+        if (windowConsumed >= 100) daysToExhaustion = day;
+      }
+    }
+
+    const forecastAt = Date.now();
+    return {
+      windowDays: windowDays,
+      remaining: remaining,
+      burnRate: recentBurnRate,
+      dailyConsumption: dailyConsumption,
+      daysToExhaustion: daysToExhaustion,
+      exhaustionDate: daysToExhaustion != null ? new Date(forecastAt + daysToExhaustion * DAY_MS).toISOString() : null,
+      windowEnd: new Date(forecastAt + windowDays * DAY_MS).toISOString(),
+      exhausted: remaining <= 0,
+      atRisk: daysToExhaustion != null && daysToExhaustion < windowDays
+    };
+  };
+
+  // Days of daily status create_tickets needs to auto-resolve tickets (0 = none)
+  const autoResolveDays = config.tickets.ticketProviders.length > 0 && config.tickets.autoResolve.enabled
+    ? config.tickets.autoResolve.requiredPassingDays
+    : 0;
+
+  if (budgetForecast.enabled || config.report.trendCharts.enabled || autoResolveDays > 0) {
+    const seriesSlos = sloReport.filter(slo => slo.metricName);
+    for (const slo of sloReport.filter(slo => !slo.metricName)) {
+      console.log("No daily series for " + slo.name + ": the SLO has no metric name");
+    }
+
+    await mapConcurrently(seriesSlos, maxConcurrentRequests, async (slo) => {
+      const windowDays = getSloWindowDays(slo.timeframe);
+      if (!windowDays) {
+        console.log("No budget forecast for " + slo.name + ": timeframe " + slo.timeframe + " is not a relative duration");
+        if (autoResolveDays === 0) return;
+      }
+
+      try {
+        // Complete days only: today so far would count as a whole day
+        const response = await fetchWithRetry("budget", slo.name, [slo.id], () => metricsClient.query({
+          metricSelector: "func:slo." + slo.metricName,
+          from: "now-" + Math.max(windowDays || 0, autoResolveDays) + "d/d",
+          to: "now/d",
+          resolution: "1d"
+        }));
+
+        const series = response.result && response.result.length > 0 && response.result[0].data.length > 0
+          ? response.result[0].data[0]
+          : { timestamps: [], values: [] };
+
+        // Oldest day first; days without data are null
+        slo.dailySeries = (series.timestamps || []).map((timestamp, index) => {
+          const status = series.values[index];
+          return {
+            date: new Date(timestamp).toISOString().slice(0, 10),
+            status: status != null && status >= 0 ? status : null
+          };
+        });
+        if (!budgetForecast.enabled || !windowDays) return;
+        slo.budget = forecastErrorBudget(slo.dailySeries.slice(-windowDays), slo.target, windowDays);
+
+        console.log("Budget " + slo.name + ": " + (slo.budget
+          ? slo.budget.remaining.toFixed(1) + "% left, " + slo.budget.dailyConsumption.toFixed(2) + "%/day" + (slo.budget.atRisk ? " (at risk)" : "")
+          : "no data"));
+      } catch (error) {
+        console.error("Error fetching daily series for " + slo.name + ": " + error.message);
+      }
+    });
+  }
+
+  endPhase("budget");
+
+  // ============================================
+  // CORRELATE FAILING SLOs
+  // For each SLO below target in the categorization
+  // window, lists the problems and the events of
+  // breachCorrelation.eventTypes (deployments and
+  // configuration changes) since the window started, on:
+  //   - the SLO's application (by ID, or looked up by name;
+  //     SLOs on services only use the application their
+  //     metric expression names)
+  //   - services in its metric expression or entity filter
+  //   - services its application calls (includeCalledServices)
+  // SLOs on the same entities share their requests.
+  // ============================================
+  const CORRELATION_EVENT_PAGE_SIZE = 100;
+
+  const correlationWindow = evaluationWindows.find(window => window.name === categorizationWindow);
+  const failingSlos = sloReport.filter(slo => {
+    const sloWindow = slo[categorizationWindow];
+    return sloWindow && sloWindow.status != null && sloWindow.status >= 0 && sloWindow.status < slo.target;
+  });
+
+  // Helper to read a property of an event (properties are { key, value } pairs)
+  const getEventProperty = (event, key) => {
+    const property = (event.properties || []).find(p => p.key === key);
+    return property ? property.value : null;
+  };
+
+  if (breachCorrelation.enabled && failingSlos.length > 0) {
+    // Application IDs of failing SLOs only known by application name
+    const applicationIdsByName = {};
+    const unresolvedApplications = [];
+    for (const slo of failingSlos) {
+      if (!slo.applicationId && slo.serviceIds.length === 0 && slo.application && !unresolvedApplications.includes(slo.application)) {
+        unresolvedApplications.push(slo.application);
+      }
+    }
+
+    if (unresolvedApplications.length > 0) {
+      try {
+        const entities = await listEntities(
+          "correlation",
+          "application IDs",
+          failingSlos.filter(slo => !slo.applicationId && slo.serviceIds.length === 0 && unresolvedApplications.includes(slo.application)).map(slo => slo.id),
+          'type("APPLICATION"),entityName.in(' + unresolvedApplications.map(name => '"' + escapeSelectorValue(name) + '"').join(',') + ')'
+        );
+        for (const entity of entities) {
+          applicationIdsByName[entity.displayName] = entity.entityId;
+        }
+      } catch (error) {
+        console.error("Error looking up application IDs: " + error.message);
+      }
+    }
+
+    // Related entities per failing SLO: { id, name, type }
+    const correlationEntities = {};
+    const calledServiceApplicationIds = [];
+    for (const slo of failingSlos) {
+      const entities = [];
+      const applicationId = slo.applicationId || (slo.serviceIds.length === 0 ? applicationIdsByName[slo.application] : null);
+      if (applicationId) {
+        entities.push({ id: applicationId, name: slo.application, type: "APPLICATION" });
+        if (breachCorrelation.includeCalledServices && !calledServiceApplicationIds.includes(applicationId)) {
+          calledServiceApplicationIds.push(applicationId);
+        }
+      }
+      for (const serviceId of slo.serviceIds) {
+        entities.push({ id: serviceId, name: null, type: "SERVICE" });
+      }
+      correlationEntities[slo.id] = entities;
+    }
+
+    // Services called by each application, looked up once per application
+    const calledServices = {};
+    await mapConcurrently(calledServiceApplicationIds, maxConcurrentRequests, async (applicationId) => {
+      try {
+        const entities = await listEntities(
+          "correlation",
+          "services of " + applicationId,
+          failingSlos.filter(slo => correlationEntities[slo.id].some(entity => entity.id === applicationId)).map(slo => slo.id),
+          'type("SERVICE"),toRelationships.calls(type("APPLICATION"),entityId("' + applicationId + '"))'
+        );
+        calledServices[applicationId] = entities
+          .slice(0, breachCorrelation.maxServices)
+          .map(entity => ({ id: entity.entityId, name: entity.displayName, type: "SERVICE" }));
+      } catch (error) {
+        console.error("Error looking up services of " + applicationId + ": " + error.message);
+        calledServices[applicationId] = [];
+      }
+    });
+
+    for (const slo of failingSlos) {
+      const entities = correlationEntities[slo.id];
+      const application = entities.find(entity => entity.type === "APPLICATION");
+      for (const service of (application && calledServices[application.id]) || []) {
+        const existing = entities.find(entity => entity.id === service.id);
+        if (existing) {
+          existing.name = existing.name || service.name;
+        } else {
+          entities.push(service);
+        }
+      }
+    }
+
+    // Names of the services only known by their ID
+    const unnamedServiceIds = [];
+    for (const slo of failingSlos) {
+      for (const entity of correlationEntities[slo.id]) {
+        if (!entity.name && !unnamedServiceIds.includes(entity.id)) unnamedServiceIds.push(entity.id);
+      }
+    }
 
-      if (response.result && response.result.length > 0) {
-        const metric = response.result[0];
-        if (metric.data && metric.data.length > 0) {
-          const dataPoint = metric.data[0];
-          const values = dataPoint.values || [];
-          const validValues = values.filter(v => v != null);
-
-          if (validValues.length > 0) {
-            const avgAvailability = validValues.reduce((a, b) => a + b, 0) / validValues.length;
-            syntheticMetrics[config.syntheticId] = {
-              avgAvailability: avgAvailability,
-              locationCount: validValues.length
-            };
+    if (unnamedServiceIds.length > 0) {
+      try {
+        const entities = await listEntities(
+          "correlation",
+          "service names",
+          failingSlos.filter(slo => correlationEntities[slo.id].some(entity => unnamedServiceIds.includes(entity.id))).map(slo => slo.id),
+          'type("SERVICE"),entityId(' + unnamedServiceIds.map(serviceId => '"' + serviceId + '"').join(',') + ')'
+        );
+        for (const slo of failingSlos) {
+          for (const entity of correlationEntities[slo.id]) {
+            const match = entities.find(e => e.entityId === entity.id);
+            if (match && !entity.name) entity.name = match.displayName;
           }
         }
+      } catch (error) {
+        console.error("Error looking up service names: " + error.message);
       }
+    }
 
-      console.log("Synthetic " + config.syntheticName + ": " + (syntheticMetrics[config.syntheticId] ? syntheticMetrics[config.syntheticId].avgAvailability.toFixed(2) + "%" : "no data"));
-    } catch (error) {
-      console.error("Error fetching synthetic data for " + config.syntheticName + ": " + error.message);
+    // One problems and one events request per distinct set of entities
+    const correlationQueries = {};
+    for (const slo of failingSlos) {
+      const entityIds = correlationEntities[slo.id].map(entity => entity.id).sort();
+      if (entityIds.length === 0) continue;
+
+      const key = entityIds.join(",");
+      if (!correlationQueries[key]) {
+        correlationQueries[key] = { entityIds: entityIds, sloIds: [], sloNames: [], problems: null, events: null };
+      }
+      correlationQueries[key].sloIds.push(slo.id);
+      correlationQueries[key].sloNames.push(slo.name);
+    }
+
+    await mapConcurrently(Object.values(correlationQueries), maxConcurrentRequests, async (query) => {
+      const entitySelector = 'entityId(' + query.entityIds.map(entityId => '"' + entityId + '"').join(',') + ')';
+      const target = query.sloNames.join(", ");
+
+      try {
+        const data = await fetchWithRetry("correlation", "problems of " + target, query.sloIds, () => problemsClient.getProblems({
+          from: correlationWindow.from,
+          to: "now",
+          entitySelector: entitySelector,
+          sort: "-startTime",
+          pageSize: breachCorrelation.maxListed
+        }));
+
+        query.totalProblems = data.totalCount != null ? data.totalCount : (data.problems || []).length;
+        query.problems = (data.problems || []).map(problem => ({
+          id: problem.problemId,
+          displayId: problem.displayId,
+          title: problem.title,
+          severityLevel: problem.severityLevel,
+          status: problem.status,
+          startTime: problem.startTime,
+          endTime: problem.endTime > 0 ? problem.endTime : null,
+          entityName: problem.rootCauseEntity
+            ? problem.rootCauseEntity.name
+            : ((problem.affectedEntities || [])[0] || {}).name || null
+        }));
+      } catch (error) {
+        console.error("Error fetching problems of " + target + ": " + error.message);
+      }
+
+      try {
+        const data = await fetchWithRetry("correlation", "events of " + target, query.sloIds, () => eventsClient.getEvents({
+          from: correlationWindow.from,
+          to: "now",
+          eventSelector: 'eventType(' + breachCorrelation.eventTypes.map(eventType => '"' + eventType + '"').join(',') + ')',
+          entitySelector: entitySelector,
+          pageSize: CORRELATION_EVENT_PAGE_SIZE
+        }));
+
+        // Most recent first
+        const events = (data.events || []).slice().sort((a, b) => b.startTime - a.startTime);
+        query.totalEvents = data.totalCount != null ? data.totalCount : events.length;
+        query.events = events.slice(0, breachCorrelation.maxListed).map(event => ({
+          id: event.eventId,
+          type: event.eventType,
+          title: event.title,
+          startTime: event.startTime,
+          entityId: event.entityId && event.entityId.entityId ? event.entityId.entityId.id : null,
+          entityName: event.entityId ? event.entityId.name || null : null,
+          version: getEventProperty(event, "dt.event.deployment.version"),
+          url: getEventProperty(event, "dt.event.deployment.ci_back_link")
+        }));
+      } catch (error) {
+        console.error("Error fetching events of " + target + ": " + error.message);
+      }
+    });
+
+    // problems / events are null when their request failed
+    for (const slo of failingSlos) {
+      const entities = correlationEntities[slo.id];
+      const query = entities.length > 0 ? correlationQueries[entities.map(entity => entity.id).sort().join(",")] : null;
+
+      slo.correlation = {
+        from: correlationWindow.from,
+        entities: entities,
+        problems: query ? query.problems : [],
+        events: query ? query.events : [],
+        totalProblems: query && query.problems ? query.totalProblems : 0,
+        totalEvents: query && query.events ? query.totalEvents : 0
+      };
+
+      console.log("Correlation " + slo.name + ": " + entities.length + " entities, " +
+        slo.correlation.totalProblems + " problems, " + slo.correlation.totalEvents + " events");
+    }
+  }
+
+  endPhase("correlation");
+
+  // ============================================
+  // CHECK DATA QUALITY
+  // Fails the task when too many requests of one stage
+  // failed - a report with most of its data missing
+  // would look like a healthy one. Smaller gaps are
+  // listed in the report's "Data quality" section.
+  // ============================================
+  diagnostics.totalRequests = 0;
+  diagnostics.failedRequests = 0;
+  diagnostics.retriedRequests = 0;
+  const failedStages = [];
+
+  for (const [stage, stats] of Object.entries(diagnostics.stages)) {
+    diagnostics.totalRequests += stats.requests;
+    diagnostics.failedRequests += stats.failed;
+    diagnostics.retriedRequests += stats.retried;
+
+    stats.failureRatio = stats.requests > 0 ? stats.failed / stats.requests : 0;
+    if (stats.failed > 0 && stats.failureRatio > dataQuality.maxFailureRatio) {
+      const firstFailure = diagnostics.failures.find(failure => failure.stage === stage);
+      failedStages.push(stage + ": " + stats.failed + " of " + stats.requests + " requests failed (" + firstFailure.message + ")");
     }
   }
 
+  console.log("Data quality: " + diagnostics.failedRequests + " of " + diagnostics.totalRequests + " requests failed (" + diagnostics.retriedRequests + " retries)");
+
+  if (failedStages.length > 0) {
+    throw new Error("Too many failed API requests (maxFailureRatio " + dataQuality.maxFailureRatio + "): " + failedStages.join("; "));
+  }
+
   // ============================================
   // BUILD REPORT DATE
   // ============================================
@@ -362,32 +2667,144 @@ export default async function ({ execution_id }) {
 
   // ============================================
   // DETERMINE BREACH STATUS
-  // Used by create_ado_ticket task condition
+  // Driven by the burn-rate rules: the overall severity
+  // is the worst severity of any SLO. The create_tickets
+  // task uses it to prioritize new tickets.
   // ============================================
-  const hasBreach = sloReport.some(slo => {
-    const day7Status = slo.day7 ? slo.day7.status : null;
-    return day7Status != null && day7Status >= 0 && day7Status < slo.target;
+  // Helper to get the worst severity of a list of SLOs
+  const getWorstSeverity = (slos) => slos.reduce(
+    (worst, slo) => SEVERITY_RANK[slo.severity] > SEVERITY_RANK[worst] ? slo.severity : worst,
+    "none"
+  );
+
+  const severity = getWorstSeverity(sloReport);
+  const hasBreach = severity !== "none";
+
+  // Per-domain settings and breach status for the downstream tasks
+  const domainReports = domains.map(domain => {
+    const ids = domainSloIds[domain.id];
+    const domainSeverity = getWorstSeverity(sloReport.filter(slo => ids.includes(slo.id)));
+
+    return {
+      id: domain.id,
+      name: domain.name || null,
+      sloIds: ids,
+      dashboardUrl: domain.dashboardUrl || dashboardUrl,
+      reportTitle: domain.reportTitle || null,
+      reportSubtitle: domain.reportSubtitle || null,
+      sloExplainedUrl: domain.sloExplainedUrl || null,
+      recipients: domain.recipients || null,
+      ticketOwnership: domain.ticketOwnership || null,
+      severity: domainSeverity,
+      hasBreach: domainSeverity !== "none"
+    };
   });
 
+  // ============================================
+  // PERSIST REPORT SNAPSHOT
+  // Appends this run's per-SLO values to the snapshot
+  // document (oldest snapshots beyond historyLimit are
+  // dropped). A failure here is logged but doesn't fail
+  // the report.
+  // ============================================
+  const SNAPSHOT_DOCUMENT_TYPE = "slo-report-snapshots";
+
+  const snapshot = {
+    executionId: execution_id,
+    timestamp: now.toISOString(),
+    reportDate: reportDate,
+    slos: {}
+  };
+  for (const slo of sloReport) {
+    const windowStatus = {};
+    for (const window of evaluationWindows) {
+      const status = slo[window.name] ? slo[window.name].status : null;
+      windowStatus[window.name] = status != null && status >= 0 ? status : null;
+    }
+
+    snapshot.slos[slo.id] = {
+      name: slo.name,
+      target: slo.target,
+      windows: windowStatus,
+      severity: slo.severity
+    };
+  }
+
+  const snapshotResult = { enabled: snapshotSettings.enabled, saved: false, documentId: null, executionId: execution_id };
+
+  if (snapshotSettings.enabled) {
+    try {
+      const listing = await documentsClient.listDocuments({
+        filter: "name == '" + snapshotSettings.documentName.replace(/'/g, "\\'") + "' and type == '" + SNAPSHOT_DOCUMENT_TYPE + "'"
+      });
+      const existing = (listing.documents || [])[0];
+
+      let history = { snapshots: [] };
+      if (existing) {
+        const content = await documentsClient.downloadDocumentContent({ id: existing.id });
+        history = await content.get("json");
+      }
+
+      history.snapshots = (history.snapshots || []).concat([snapshot]).slice(-snapshotSettings.historyLimit);
+      const body = new Blob([JSON.stringify(history)], { type: "application/json" });
+
+      if (existing) {
+        await documentsClient.updateDocument({ id: existing.id, optimisticLockingVersion: existing.version, body: { content: body } });
+        snapshotResult.documentId = existing.id;
+      } else {
+        const created = await documentsClient.createDocument({ body: { name: snapshotSettings.documentName, type: SNAPSHOT_DOCUMENT_TYPE, content: body } });
+        snapshotResult.documentId = created.id;
+      }
+
+      snapshotResult.saved = true;
+      console.log("Saved report snapshot (" + history.snapshots.length + " in history)");
+    } catch (error) {
+      console.error("Error saving report snapshot: " + error.message);
+      snapshotResult.reason = error.message;
+    }
+  }
+
+  endPhase("snapshot");
+  timings.total = Date.now() - taskStartedAt;
+
   // ============================================
   // RETURN ALL DATA
   // ============================================
   const output = {
     slos: sloReport,
     userActionMetrics: userActionMetrics,
+    previousUserActionMetrics: previousUserActionMetrics,
+    userActionPeriods: userActionPeriods,
     userActionEntities: userActionEntities,
+    userActionSegments: userActionSegments,
+    applications: applications,
     syntheticMetrics: syntheticMetrics,
     reportDate: reportDate,
     dashboardUrl: dashboardUrl,
-    hasBreach: hasBreach
+    config: config,
+    domains: domainReports,
+    windows: evaluationWindows,
+    categorizationWindow: categorizationWindow,
+    burnRateRules: burnRateRules,
+    severity: severity,
+    hasBreach: hasBreach,
+    snapshot: snapshotResult,
+    diagnostics: diagnostics,
+    timings: timings
   };
 
   console.log("=== FETCH COMPLETE ===");
   console.log("SLOs: " + output.slos.length);
-  console.log("User Action Metrics: " + Object.keys(output.userActionMetrics).length);
-  console.log("User Action Entities: " + Object.keys(output.userActionEntities).length);
+  console.log("Domains: " + output.domains.map(domain => domain.name || domain.id).join(", "));
+  console.log("Applications: " + output.applications.length);
+  console.log("User Action Metrics: " + Object.values(output.userActionMetrics).reduce((sum, appMetrics) => sum + Object.keys(appMetrics).length, 0));
+  console.log("User Action Entities: " + userActionEntityCount);
   console.log("Synthetic Metrics: " + Object.keys(output.syntheticMetrics).length);
+  console.log("Error Budgets At Risk: " + output.slos.filter(slo => slo.budget && slo.budget.atRisk).length);
+  console.log("Severity: " + output.severity);
   console.log("Has Breach: " + output.hasBreach);
+  console.log("Failed Requests: " + diagnostics.failedRequests + "/" + diagnostics.totalRequests);
+  console.log("Duration: " + timings.total + " ms");
 
   return output;
 }
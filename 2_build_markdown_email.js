@@ -6,10 +6,22 @@
 // markdown email report with trend analysis, user action
 // metrics, and optional synthetic monitoring details.
 //
+// Compares against the previous report snapshot saved
+// by fetch_slo_data (delta column and a "Changed Since
+// Last Report" section).
+//
+// Requests that failed in fetch_slo_data are listed
+// in a "Data Quality" section (see diagnostics).
+//
+// Also returns the categorization as a structured
+// summary, used by the send_chat_report task to post
+// the report to Slack and Microsoft Teams.
+//
 // Prerequisites: Must run after fetch_slo_data task
 // ============================================
 
 import { execution } from '@dynatrace-sdk/automation-utils';
+import { documentsClient } from '@dynatrace-sdk/client-document';
 
 export default async function ({ execution_id }) {
   const ex = await execution(execution_id);
@@ -17,37 +29,72 @@ export default async function ({ execution_id }) {
 
   console.log("=== BUILD MARKDOWN EMAIL ===");
   console.log("Number of SLOs received: " + sloData.slos.length);
-  console.log("User action metrics received: " + Object.keys(sloData.userActionMetrics || {}).length);
-  console.log("User action entities received: " + Object.keys(sloData.userActionEntities || {}).length);
+  console.log("Applications received: " + (sloData.applications || []).length);
+  console.log("User action metrics received for " + Object.keys(sloData.userActionMetrics || {}).length + " applications");
+  console.log("User action entities received for " + Object.keys(sloData.userActionEntities || {}).length + " applications");
   console.log("Synthetic metrics received: " + Object.keys(sloData.syntheticMetrics || {}).length);
 
-  // ============================================
-  // CONFIGURATION
-  // TODO: Update these values for your domain
-  // ============================================
+  // Evaluation windows as configured in fetch_slo_data (longest first)
+  // The categorization window decides pass/fail, the last window is "current"
+  const windows = sloData.windows;
+  const categorizationWindow = windows.find(window => window.name === sloData.categorizationWindow);
+  const latestWindow = windows[windows.length - 1];
 
-  // TODO: Update report title and subtitle
-  const reportTitle = "📊 SLO Report";
-  const reportSubtitle = "Your Domain Name (Prod)"; // e.g., "Financial Picture (Prod)", "Collaboration (Prod)"
+  console.log("Windows: " + windows.map(window => window.label).join(", ") + " (categorization: " + categorizationWindow.label + ")");
 
-  // TODO: Update dashboard URLs for your environment
-  const sloExplainedUrl = "https://YOUR_TENANT.apps.dynatrace.com/ui/apps/dynatrace.classic.dashboards/#dashboard;gtf=-1w;gf=all;id=YOUR_DASHBOARD_ID";
-  const errorAnalysisUrl = ""; // Optional: URL to an error analysis dashboard
+  // API requests of fetch_slo_data, per stage, and the ones that failed
+  const diagnostics = sloData.diagnostics;
 
-  // TODO: Update your Dynatrace tenant URL (used for deep links)
-  const dynatraceTenantUrl = "https://YOUR_TENANT.apps.dynatrace.com";
+  console.log("Failed fetch requests: " + diagnostics.failedRequests + "/" + diagnostics.totalRequests);
 
-  // TODO: If you have priority SLOs that should appear at the top of each category, list their IDs here
-  // These are typically application-level SLOs (e.g., Application Apdex, Error-Free Rate)
-  // Leave empty [] if you don't need priority ordering
-  const prioritySloIds = [
-    // "your-priority-slo-id-1", // e.g., Application Apdex
-    // "your-priority-slo-id-2", // e.g., All User Action Error-Free Rate
-  ];
+  // ============================================
+  // CONFIGURATION
+  // Read from the "report" section of the workflow config,
+  // validated by fetch_slo_data (see its configSchema)
+  // ============================================
 
-  // Synthetic availability threshold (only show if below this)
-  // TODO: Adjust if your synthetic SLOs have different targets
-  const SYNTHETIC_AVAILABILITY_THRESHOLD = 99.98;
+  const reportConfig = sloData.config.report;
+  // Error budget forecast settings, for the Error Budget column
+  const budgetForecast = sloData.config.fetch.budgetForecast;
+  const dynatraceTenantUrl = sloData.config.dynatraceTenantUrl;
+
+  const {
+    reportTitle,
+    reportSubtitle,
+    sloExplainedUrl,
+    errorAnalysisUrl,
+    prioritySloIds,
+    maxFlaggedUserActions,
+    userActionColumns,
+    userActionNameShortening,
+    regressionSettings,
+    segmentSettings,
+    trendCharts,
+    comparisonSettings,
+    emailRecipients,
+    emailSubjectPrefix,
+    rollupSettings
+  } = reportConfig;
+
+  // Worst locations listed per synthetic monitor below its SLO target
+  const MAX_LISTED_LOCATIONS = 3;
+
+  // Failed requests listed individually in the Data Quality section
+  const MAX_LISTED_FAILURES = 10;
+
+  // Names of the fetch_slo_data stages in the Data Quality section
+  const DIAGNOSTIC_STAGE_LABELS = {
+    discovery: "SLO discovery",
+    slo: "SLO evaluation",
+    applications: "Application lookup",
+    userActionIds: "User action ID lookup",
+    usql: "User action metrics (USQL)",
+    segments: "User action segments (USQL)",
+    entities: "Key user action lookup",
+    synthetic: "Synthetic availability",
+    budget: "Daily SLO status",
+    correlation: "Problems and events"
+  };
 
   // ============================================
   // HELPER FUNCTIONS
@@ -74,17 +121,136 @@ export default async function ({ execution_id }) {
     return "❌";
   };
 
-  // Helper to get the "current" period data
-  const getCurrent = (slo) => {
-    if (slo.current) return slo.current;
-    if (slo.daily) return slo.daily;
-    return { status: null, errorBudget: null };
+  // Helper to get the severity emoji for burn-rate alerts
+  const getSeverityEmoji = (severity) => {
+    if (severity === "page") return "🚨";
+    if (severity === "ticket") return "🎫";
+    return "";
+  };
+
+  // Helper to format a burn rate multiplier (e.g. "14.4x")
+  const fmtBurnRate = (rate) => {
+    if (rate == null) return "N/A";
+    return rate.toFixed(1) + "x";
   };
 
+  // Helper to format a change in percentage points (e.g. "-0.40%")
+  const fmtDelta = (delta) => {
+    if (delta == null) return "N/A";
+    const rounded = Math.abs(delta) < 0.005 ? 0 : delta;
+    return (rounded > 0 ? "+" : "") + rounded.toFixed(2) + "%";
+  };
+
+  // Helper to format a date of the error budget forecast (e.g. "Oct 25, 2026")
+  const fmtForecastDate = (isoDate) => new Date(isoDate).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+
+  // Helper to format the error budget left with emoji
+  // ❌ exhausted, ⏳ projected to run out within the SLO window
+  const fmtBudget = (budget) => {
+    if (!budget) return "N/A";
+    const emoji = budget.exhausted ? "❌" : (budget.atRisk ? "⏳" : "✅");
+    return emoji + " " + budget.remaining.toFixed(1) + "%";
+  };
+
+  // Helper to describe when an error budget runs out
+  const fmtExhaustion = (budget) => {
+    if (budget.exhausted) return "Exhausted";
+    if (!budget.atRisk) return "Safe through " + fmtForecastDate(budget.windowEnd);
+    return fmtForecastDate(budget.exhaustionDate) + " (in " + Math.ceil(budget.daysToExhaustion) + " day(s))";
+  };
+
+  // ============================================
+  // TREND CHARTS
+  // Daily status of each SLO (dailySeries of fetch_slo_data),
+  // drawn locally without an external chart service:
+  //   - markdown / text: unicode sparkline; days below the
+  //     target use the lowest bars (▁▂▃), days meeting it
+  //     ▄ to █, so the target line is the ▃/▄ boundary;
+  //     · = no data
+  //   - HTML: the same sparkline with the days below target
+  //     in red (plain text and inline CSS only, as Gmail and
+  //     Outlook strip SVG and block external images)
+  // ============================================
+  const SPARKLINE_BARS = ["▁", "▂", "▃", "▄", "▅", "▆", "▇", "█"];
+  const FAILING_BAR_COUNT = 3;
+  const FAILING_BAR_COLOR = "#cf222e";
+
+  // Helper to get the daily values charted for an SLO (null when there are none)
+  const getTrendChartValues = (slo) => {
+    if (!trendCharts.enabled || !slo.dailySeries) return null;
+    const values = slo.dailySeries.slice(-trendCharts.days).map(point => point.status);
+    return values.some(v => v != null) ? values : null;
+  };
+
+  // Helper to draw daily values as a unicode sparkline around the target
+  const buildSparkline = (values, target) => {
+    const valid = values.filter(v => v != null);
+    const min = Math.min.apply(null, valid);
+    const max = Math.max.apply(null, valid);
+    const passingBars = SPARKLINE_BARS.length - FAILING_BAR_COUNT;
+
+    return values.map(v => {
+      if (v == null) return "·";
+      if (v < target) {
+        const level = min < target ? Math.floor((v - min) / (target - min) * FAILING_BAR_COUNT) : 0;
+        return SPARKLINE_BARS[Math.min(level, FAILING_BAR_COUNT - 1)];
+      }
+      const level = max > target ? Math.round((v - target) / (max - target) * (passingBars - 1)) : passingBars - 1;
+      return SPARKLINE_BARS[FAILING_BAR_COUNT + level];
+    }).join("");
+  };
+
+  // Helper to draw daily values as an HTML sparkline, days below target in red
+  const buildHtmlSparkline = (values, target) => {
+    const bars = buildSparkline(values, target);
+    const failingDays = values.filter(v => v != null && v < target).length;
+    const html = values.map((v, index) => v != null && v < target
+      ? "<span style=\"color:" + FAILING_BAR_COLOR + ";\">" + bars[index] + "</span>"
+      : bars[index]
+    ).join("");
+    return "<span style=\"font-family:monospace;white-space:nowrap;\" title=\"" + values.length + " days, " + failingDays + " below target\">" + html + "</span>";
+  };
+
+  // Helper to format the time of a problem or event (e.g. "Oct 17, 08:30", UTC)
+  const fmtEventTime = (timestamp) => new Date(timestamp).toLocaleString('en-US', {
+    timeZone: 'UTC',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  });
+
+  // Helper to format how long a problem lasted (e.g. "40 min", "3.5 h")
+  const fmtProblemDuration = (startTime, endTime) => {
+    const minutes = Math.max(1, Math.round((endTime - startTime) / 60000));
+    return minutes < 120 ? minutes + " min" : (minutes / 60).toFixed(1) + " h";
+  };
+
+  // Labels of the correlated event types (others show the event type)
+  const EVENT_TYPE_LABELS = {
+    CUSTOM_DEPLOYMENT: "🚀 Deployment",
+    CUSTOM_CONFIGURATION: "⚙️ Configuration change"
+  };
+
+  // Helper to get an SLO's status in one evaluation window
+  const getWindowStatus = (slo, window) => safeGet(slo[window.name], "status");
+
+  // Helper to get the status that decides pass/fail
+  const getCategorizationStatus = (slo) => getWindowStatus(slo, categorizationWindow);
+
+  // Helper to check if an SLO's categorization window couldn't be fetched
+  // (API failure in fetch_slo_data, as opposed to an SLO without data)
+  const isFetchFailed = (slo) => (slo.fetchFailed || []).includes(categorizationWindow.name);
+
   // ============================================
   // TREND CALCULATION
-  // Evaluates direction across all 4 time windows:
-  //   90d → 30d → 7d → current
+  // Evaluates direction across all evaluation windows,
+  // longest to shortest (by default 90d → 30d → 7d → current)
   //
   // 📈 = ALL transitions going up (consistently improving)
   // 📉 = ALL transitions going down (consistently degrading)
@@ -92,13 +258,7 @@ export default async function ({ execution_id }) {
   // 〰️ = Mixed directions (fluctuating)
   // ============================================
   const getTrend = (slo) => {
-    const current = getCurrent(slo);
-    const values = [
-      safeGet(slo.day90, 'status'),
-      safeGet(slo.day30, 'status'),
-      safeGet(slo.day7, 'status'),
-      safeGet(current, 'status')
-    ];
+    const values = windows.map(window => getWindowStatus(slo, window));
 
     // Filter to only valid values
     const valid = values.filter(v => isValidStatus(v));
@@ -142,63 +302,88 @@ export default async function ({ execution_id }) {
     return "〰️";
   };
 
-  // Helper to format duration with emoji warning
-  const fmtDurationWithEmoji = (ms) => {
-    if (ms == null || ms === undefined) return "N/A";
+  // Helper to format a duration
+  // (⚠️ marks come from the attention rules, see USER ACTION METRICS SECTION)
+  const fmtDuration = (ms) => {
+    if (ms == null) return "N/A";
+    if (ms < 1000) return Math.round(ms) + " ms";
+    return (ms / 1000).toFixed(2) + " s";
+  };
 
-    let formatted;
-    if (ms < 1000) {
-      formatted = Math.round(ms) + " ms";
-    } else {
-      formatted = (ms / 1000).toFixed(2) + " s";
-    }
+  // Helper to format an action count with thousands separators
+  const fmtCount = (count) => {
+    if (count == null) return "N/A";
+    return String(Math.round(count)).replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+  };
 
-    if (ms > 12000) {
-      return formatted + " ❌";
-    } else if (ms > 3000) {
-      return formatted + " ⚠️";
-    }
+  // Helper to format errors per 1,000 actions
+  const fmtErrorRate = (rate) => {
+    if (rate == null) return "N/A";
+    return rate.toFixed(1);
+  };
 
-    return formatted;
+  // Helper to format Apdex with emoji warning (below 0.85 fair, below 0.7 poor)
+  const fmtApdex = (apdex) => {
+    if (apdex == null) return "N/A";
+    if (apdex < 0.7) return apdex.toFixed(2) + " ❌";
+    if (apdex < 0.85) return apdex.toFixed(2) + " ⚠️";
+    return apdex.toFixed(2);
   };
 
-  // Helper to get error emoji based on count
-  const getErrorEmoji = (count) => {
-    if (count == null || count === 0) return "";
-    if (count <= 10) return " ⚠️";
-    return " ❌";
+  // Helper to sum a user action's custom, JS and request errors
+  const getTotalErrors = (metrics) => (metrics.customErrors || 0) + (metrics.jsErrors || 0) + (metrics.requestErrors || 0);
+
+  // Helper to format the change of a metric since the previous period
+  // (🔺 = regression, see USER ACTION REGRESSIONS)
+  const fmtChange = (change) => {
+    if (!change) return "N/A";
+    if (change.percent == null) return change.regressed ? "new 🔺" : "N/A";
+    const rounded = Math.round(change.percent);
+    return (rounded > 0 ? "+" : "") + rounded + "%" + (change.regressed ? " 🔺" : "");
+  };
+
+  // Columns of the user action tables, selected by report.userActionColumns
+  // format(metrics, comparison): comparison with the previous period, or null
+  const USER_ACTION_COLUMN_DEFINITIONS = {
+    avgDuration: { label: "Avg Duration", format: (metrics) => fmtDuration(metrics.avgDuration) },
+    p50Duration: { label: "p50 Duration", format: (metrics) => fmtDuration(metrics.p50Duration) },
+    p90Duration: { label: "p90 Duration", format: (metrics) => fmtDuration(metrics.p90Duration) },
+    p95Duration: { label: "p95 Duration", format: (metrics) => fmtDuration(metrics.p95Duration) },
+    p99Duration: { label: "p99 Duration", format: (metrics) => fmtDuration(metrics.p99Duration) },
+    actionCount: { label: "Actions", format: (metrics) => fmtCount(metrics.actionCount) },
+    errorRate: { label: "Errors / 1k Actions", format: (metrics) => fmtErrorRate(metrics.errorRate) },
+    totalErrors: { label: "Total Errors", format: (metrics) => String(getTotalErrors(metrics)) },
+    customErrors: { label: "Custom Errors", format: (metrics) => String(metrics.customErrors || 0) },
+    jsErrors: { label: "JS Errors", format: (metrics) => String(metrics.jsErrors || 0) },
+    requestErrors: { label: "Request Errors", format: (metrics) => String(metrics.requestErrors || 0) },
+    apdex: { label: "Apdex", format: (metrics) => fmtApdex(metrics.apdex) },
+    avgDurationChange: { label: "Δ Duration", format: (metrics, comparison) => fmtChange(comparison && comparison.avgDuration) },
+    errorRateChange: { label: "Δ Error Rate", format: (metrics, comparison) => fmtChange(comparison && comparison.errorRate) }
   };
 
   // ============================================
   // USER ACTION NAME SHORTENING
-  // TODO: Adjust the shortening logic if your user action
-  // names follow a different pattern than the default
-  // "click [button] landing on https://..." format
+  // Follows report.userActionNameShortening: by default
+  // "click [button] landing on https://..." becomes
+  // "click [button] → .../last/segments"
   // ============================================
   const shortenUserAction = (userAction) => {
     if (!userAction) return "N/A";
 
-    let actionType = "";
-    let endpoint = "";
-
-    if (userAction.includes(" landing on ")) {
-      const parts = userAction.split(" landing on ");
-      actionType = parts[0];
-      endpoint = parts[1] || "";
-    } else if (userAction.includes(" of page ")) {
-      const parts = userAction.split(" of page ");
-      actionType = parts[0];
-      endpoint = parts[1] || "";
-    } else {
-      return userAction.length > 50 ? userAction.substring(0, 47) + "..." : userAction;
+    const separator = userActionNameShortening.separators.find(s => s && userAction.includes(s));
+    if (!separator) {
+      const maxLength = userActionNameShortening.maxLength;
+      return userAction.length > maxLength ? userAction.substring(0, maxLength - 3) + "..." : userAction;
     }
 
+    const index = userAction.indexOf(separator);
+    const actionType = userAction.substring(0, index);
+    let endpoint = userAction.substring(index + separator.length);
+
     let path = endpoint.replace(/https?:\/\/[^\/]+/, "");
     const segments = path.split("/").filter(s => s.length > 0);
-    if (segments.length > 2) {
-      endpoint = ".../" + segments.slice(-2).join("/");
-    } else if (segments.length > 0) {
-      endpoint = ".../" + segments.join("/");
+    if (segments.length > 0) {
+      endpoint = ".../" + segments.slice(-userActionNameShortening.pathSegments).join("/");
     } else {
       endpoint = path;
     }
@@ -218,7 +403,6 @@ export default async function ({ execution_id }) {
       .replace(/\/\//g, '%5C0%5C0')
       .replace(/\//g, '%5C0');
 
-    // TODO: Update the base URL to match your Dynatrace tenant
     const baseUrl = dynatraceTenantUrl + "/ui/apps/dynatrace.classic.frontend/#uemapplications/uemuseractionmetrics";
 
     return baseUrl +
@@ -232,7 +416,6 @@ export default async function ({ execution_id }) {
   const buildSyntheticUrl = (syntheticId, type) => {
     if (!syntheticId) return null;
 
-    // TODO: Update the base URL to match your Dynatrace tenant
     const baseUrl = dynatraceTenantUrl + "/ui/apps/dynatrace.classic.synthetic/ui";
 
     let monitorPath;
@@ -247,27 +430,203 @@ export default async function ({ execution_id }) {
     return baseUrl + "/" + monitorPath + "/" + syntheticId + "?gtf=-7d&gf=all";
   };
 
-  // Helper to check if a user action needs attention
-  // TODO: Adjust thresholds if needed
-  //   - totalErrors >= 10: flags user actions with 10+ combined errors
-  //   - avgDuration >= 3000: flags user actions averaging 3+ seconds
-  const needsAttention = (metrics) => {
-    if (!metrics) return false;
+  // Helper to build Dynatrace problem details URL
+  const buildProblemUrl = (problemId) => {
+    if (!problemId) return null;
 
-    const totalErrors = (metrics.customErrors || 0) + (metrics.jsErrors || 0) + (metrics.requestErrors || 0);
-    const avgDuration = metrics.avgDuration || 0;
+    return dynatraceTenantUrl + "/ui/apps/dynatrace.classic.problems/#problems/problemdetails;pid=" + problemId;
+  };
+
+  // Helper to build Dynatrace URL of an application or service
+  const buildEntityUrl = (entityId) => {
+    if (!entityId) return null;
 
-    return totalErrors >= 10 || avgDuration >= 3000;
+    if (entityId.indexOf("APPLICATION-") === 0) {
+      return dynatraceTenantUrl + "/ui/apps/dynatrace.classic.frontend/#uemapplications/performanceanalysis;uemapplicationId=" + entityId + ";gtf=-7d;gf=all";
+    }
+    if (entityId.indexOf("SERVICE-") === 0) {
+      return dynatraceTenantUrl + "/ui/apps/dynatrace.classic.services/#serviceOverview;id=" + entityId + ";gtf=-7d;gf=all";
+    }
+    return null;
   };
 
-  // Helper to calculate attention score for ranking
-  const getAttentionScore = (metrics) => {
-    if (!metrics) return 0;
+  // Helper to build Dynatrace SLO details URL
+  const buildSloUrl = (sloId) => {
+    if (!sloId) return null;
 
-    const totalErrors = (metrics.customErrors || 0) + (metrics.jsErrors || 0) + (metrics.requestErrors || 0);
-    const avgDurationSeconds = (metrics.avgDuration || 0) / 1000;
+    const baseUrl = dynatraceTenantUrl + "/ui/apps/dynatrace.classic.slo/#slo";
 
-    return (totalErrors * 10) + avgDurationSeconds;
+    return baseUrl + ";id=" + sloId + ";gtf=-7d;gf=all";
+  };
+
+  // ============================================
+  // USER ACTION ATTENTION RULES
+  // fetch_slo_data evaluates report.userActionRules and
+  // returns each SLO's rules (attentionRules, with its
+  // report.userActionRuleOverrides applied) and its
+  // flaggedUserActions ({ userAction, firedRules, score },
+  // highest score first). The report lists the first
+  // report.maxFlaggedUserActions of each SLO.
+  // ============================================
+  const ruleOperatorSymbols = { above: "≥", below: "≤" };
+
+  // Helper to format a rule threshold in the unit of its metric
+  const fmtRuleThreshold = (metric, threshold) => {
+    if (/Duration$/.test(metric)) {
+      return threshold < 1000 ? threshold + " ms" : (threshold / 1000) + "s";
+    }
+    return String(threshold);
+  };
+
+  // Helper to describe a rule, e.g. "Errors / 1k Actions ≥ 10 (10+ actions)"
+  const describeRule = (rule) => {
+    const label = USER_ACTION_COLUMN_DEFINITIONS[rule.metric].label;
+    const limit = rule.baseline === "application"
+      ? rule.threshold + "x the application median"
+      : fmtRuleThreshold(rule.metric, rule.threshold);
+    return label + " " + ruleOperatorSymbols[rule.operator] + " " + limit + (rule.minActions > 0 ? " (" + rule.minActions + "+ actions)" : "");
+  };
+
+  // Helper to describe an SLO's rules, e.g. "Errors / 1k Actions ≥ 10 OR p90 Duration ≥ 3s"
+  const describeRules = (rules) => rules.map(describeRule).join(" OR ");
+
+  // Helper to get the metrics of the rules that flagged a user action (its ⚠️ cells)
+  const getFiredMetrics = (slo, item) => slo.attentionRules
+    .filter(rule => item.firedRules.includes(rule.name))
+    .map(rule => rule.metric);
+
+  // ============================================
+  // USER ACTION SEGMENTS
+  // Errors and duration of flagged user actions per
+  // browser, country, OS and app version (userActionSegments
+  // of fetch_slo_data, see fetch.segmentBreakdown).
+  // A segment is over-represented (🎯) when its share of
+  // the action's errors or time is at least
+  // segmentSettings.minRatio x its share of the traffic
+  // (and at least minShare percent). Over-represented
+  // segments are listed first, then the ones with the
+  // largest share of the errors.
+  // ============================================
+  const SEGMENT_DIMENSION_LABELS = {
+    browserFamily: "Browser",
+    country: "Country",
+    osVersion: "OS",
+    appVersion: "App Version"
+  };
+
+  // Helper to format a share (0-1) as a percentage
+  const fmtShare = (share) => share == null ? "N/A" : Math.round(share * 100) + "%";
+
+  // Helper to get how over-represented a share is against the traffic share (0 = not over-represented)
+  const getOverRepresentation = (share, trafficShare) => {
+    if (share == null || !trafficShare || share * 100 < segmentSettings.minShare) return 0;
+    const ratio = share / trafficShare;
+    return ratio >= segmentSettings.minRatio ? ratio : 0;
+  };
+
+  // Helper to get the listed segments of a user action
+  // Returns [{ dimension, segment, errorRatio, durationRatio }] (ratios: 0 = not over-represented)
+  const getTopSegments = (application, userAction) => {
+    const actionSegments = ((sloData.userActionSegments || {})[application] || {})[userAction] || {};
+    const items = [];
+    for (const [dimension, segments] of Object.entries(actionSegments)) {
+      for (const segment of segments) {
+        items.push({
+          dimension: dimension,
+          segment: segment,
+          errorRatio: getOverRepresentation(segment.errorShare, segment.trafficShare),
+          durationRatio: getOverRepresentation(segment.durationShare, segment.trafficShare)
+        });
+      }
+    }
+
+    return items
+      .sort((a, b) => Math.max(b.errorRatio, b.durationRatio) - Math.max(a.errorRatio, a.durationRatio) ||
+        (b.segment.errorShare || 0) - (a.segment.errorShare || 0) ||
+        b.segment.trafficShare - a.segment.trafficShare)
+      .slice(0, segmentSettings.maxListed);
+  };
+
+  // Helper to format a segment's share of errors or time, with its over-representation
+  const fmtSegmentShare = (share, ratio) => fmtShare(share) + (ratio > 0 ? " (" + ratio.toFixed(1) + "x) 🎯" : "");
+
+  // ============================================
+  // USER ACTION REGRESSIONS
+  // Compares each action's last 7 days with the 7 days
+  // before (previousUserActionMetrics from fetch_slo_data).
+  // A metric regressed when it got at least
+  // regressionSettings.minChangePercent worse AND the
+  // change is statistically meaningful (z-score of at
+  // least minZScore), with minActions actions in both
+  // periods:
+  //   - Error rate: rate test on the error counts
+  //     (pooled rate, Poisson variance)
+  //   - Avg duration: test on the means, with the spread
+  //     of each period estimated from its percentiles
+  //     (p90 - p50) / 1.28, as durations aren't returned
+  //     individually
+  // ============================================
+  const previousUserActionMetrics = sloData.previousUserActionMetrics || {};
+
+  // Helper to get the change of a value in percent (null without a previous value)
+  const getPercentChange = (current, previous) => previous > 0 ? (current - previous) / previous * 100 : null;
+
+  // Helper to get the z-score of an error rate increase
+  const getErrorRateZScore = (metrics, previous) => {
+    const errors = getTotalErrors(metrics);
+    const previousErrors = getTotalErrors(previous);
+    const pooledRate = (errors + previousErrors) / (metrics.actionCount + previous.actionCount);
+    const standardError = Math.sqrt(pooledRate / metrics.actionCount + pooledRate / previous.actionCount);
+    if (!(standardError > 0)) return null;
+    return (errors / metrics.actionCount - previousErrors / previous.actionCount) / standardError;
+  };
+
+  // Helper to estimate the standard deviation of an action's duration
+  const estimateDurationSpread = (metrics) => {
+    if (metrics.p50Duration == null || metrics.p90Duration == null) return null;
+    return (metrics.p90Duration - metrics.p50Duration) / 1.2816;
+  };
+
+  // Helper to get the z-score of an average duration increase
+  const getDurationZScore = (metrics, previous) => {
+    const spread = estimateDurationSpread(metrics);
+    const previousSpread = estimateDurationSpread(previous);
+    if (spread == null || previousSpread == null) return null;
+    const standardError = Math.sqrt(spread * spread / metrics.actionCount + previousSpread * previousSpread / previous.actionCount);
+    if (!(standardError > 0)) return null;
+    return (metrics.avgDuration - previous.avgDuration) / standardError;
+  };
+
+  // Helper to compare a user action with the previous period
+  // Returns null without previous metrics, otherwise
+  // { avgDuration: { previous, percent, zScore, regressed }, errorRate: { ... }, regressed }
+  const compareWithPreviousPeriod = (application, userAction) => {
+    const metrics = ((sloData.userActionMetrics || {})[application] || {})[userAction];
+    const previous = (previousUserActionMetrics[application] || {})[userAction];
+    if (!metrics || !previous) return null;
+
+    const enoughActions = (metrics.actionCount || 0) >= regressionSettings.minActions &&
+      (previous.actionCount || 0) >= regressionSettings.minActions;
+
+    const compare = (current, previousValue, zScore) => {
+      const percent = getPercentChange(current, previousValue);
+      // A metric that was 0 before counts as changed when it is significant
+      const bigEnough = percent == null ? current > 0 : percent >= regressionSettings.minChangePercent;
+      return {
+        previous: previousValue,
+        percent: percent,
+        zScore: zScore,
+        regressed: regressionSettings.enabled && enoughActions && bigEnough && zScore != null && zScore >= regressionSettings.minZScore
+      };
+    };
+
+    const comparison = {
+      avgDuration: compare(metrics.avgDuration, previous.avgDuration, enoughActions ? getDurationZScore(metrics, previous) : null),
+      errorRate: compare(metrics.errorRate || 0, previous.errorRate || 0, enoughActions ? getErrorRateZScore(metrics, previous) : null)
+    };
+    comparison.regressed = comparison.avgDuration.regressed || comparison.errorRate.regressed;
+
+    return comparison;
   };
 
   // Helper to format synthetic availability with emoji
@@ -308,266 +667,1262 @@ export default async function ({ execution_id }) {
   };
 
   // ============================================
-  // CATEGORIZE SLOs
-  // Pass/fail is based on the 7-day value
-  // This provides more stable alerting than daily fluctuations
-  // ============================================
-  const failingSLOs = sortWithPriority(
-    sloData.slos.filter(slo => {
-      const status = safeGet(slo.day7, "status");
-      return isValidStatus(status) && status < slo.target;
-    })
-  );
-
-  const passingSLOs = sortWithPriority(
-    sloData.slos.filter(slo => {
-      const status = safeGet(slo.day7, "status");
-      return isValidStatus(status) && status >= slo.target;
-    })
-  );
-
-  const noDataSLOs = sortWithPriority(
-    sloData.slos.filter(slo => {
-      const status = safeGet(slo.day7, "status");
-      return !isValidStatus(status);
-    })
-  );
-
-  console.log("Categorized: " + failingSLOs.length + " failing, " + passingSLOs.length + " passing, " + noDataSLOs.length + " no data");
-
-  const breachStatus = failingSLOs.length > 0 ? "❌ BREACH" : "✅ OK";
-
-  let markdown = "";
-
-  // ============================================
-  // REPORT HEADER
+  // COMPARISON WITH PREVIOUS REPORT
+  // Loads the snapshot history saved by fetch_slo_data and
+  // picks the latest snapshot that is at least
+  // minSnapshotAgeDays old (1 hour of slack absorbs
+  // schedule drift). Without a snapshot the report is
+  // built without comparison.
   // ============================================
-  markdown += "# " + reportTitle + "\n\n";
-  markdown += "## " + reportSubtitle + "\n\n";
-  markdown += "**Report Date:** " + sloData.reportDate + "\n\n";
+  let previousSnapshot = null;
+  const snapshotInfo = sloData.snapshot || {};
+
+  if (snapshotInfo.documentId) {
+    try {
+      const content = await documentsClient.downloadDocumentContent({ id: snapshotInfo.documentId });
+      const history = await content.get("json");
+
+      const maxTimestamp = Date.now() - comparisonSettings.minSnapshotAgeDays * 24 * 60 * 60 * 1000 + 60 * 60 * 1000;
+      const candidates = (history.snapshots || []).filter(snap =>
+        snap.executionId !== snapshotInfo.executionId && new Date(snap.timestamp).getTime() <= maxTimestamp
+      );
+
+      previousSnapshot = candidates.length > 0 ? candidates[candidates.length - 1] : null;
+    } catch (error) {
+      console.error("Error loading report snapshots: " + error.message);
+    }
+  }
 
-  markdown += "View SLO details and contributing factors on [dashboard](" + sloData.dashboardUrl + ")\n\n";
-  markdown += "[SLOs explained](" + sloExplainedUrl + ")\n\n";
+  if (previousSnapshot) {
+    console.log("Comparing with report snapshot from " + previousSnapshot.reportDate);
+  }
 
   // ============================================
-  // EXECUTIVE SUMMARY
+  // REPORT MODEL
+  // Each report is built as a list of sections and
+  // rendered to markdown, HTML and plain text.
+  // Downstream tasks (tickets, chat) reuse the same
+  // model so every channel shows the same content.
+  //
+  // Section: { id, title, note, blocks }
+  //   (title/note are optional; every section after the
+  //   first is preceded by a divider)
+  // Blocks:
+  //   { type: "heading", level, text }
+  //   { type: "paragraph", spans }
+  //   { type: "table", columns, rows: [{ cells, status, trend, sloId }] }
+  // Spans (paragraph content and table cells):
+  //   "text" or { text, url, strong, italic }
+  //   { text, chart: { values, target, caption } } = trend chart:
+  //   text is the sparkline for markdown and text, HTML draws
+  //   the sparkline with colored failing days followed by the caption
   // ============================================
-  markdown += "---\n\n";
-  markdown += "## Executive Summary\n\n";
-  markdown += "| Metric | Value |\n";
-  markdown += "|--------|-------|\n";
-  markdown += "| **Overall Status** | " + breachStatus + " |\n";
-  markdown += "| Total SLOs Monitored | " + sloData.slos.length + " |\n";
-  markdown += "| Passing | " + passingSLOs.length + " ✅ |\n";
-  markdown += "| Failing | " + failingSLOs.length + (failingSLOs.length > 0 ? " ❌" : "") + " |\n";
-  markdown += "| No Data | " + noDataSLOs.length + (noDataSLOs.length > 0 ? " ➖" : "") + " |\n";
-  markdown += "\n";
+  const heading = (level, text) => ({ type: "heading", level: level, text: text });
+  const paragraph = (...spans) => ({ type: "paragraph", spans: spans });
+  const link = (text, url) => ({ text: text, url: url });
+  const strong = (text) => ({ text: text, strong: true });
+  const italic = (text) => ({ text: text, italic: true });
+
+  // Helper to map a categorization value to a row status
+  // Used by the HTML renderer to tint rows
+  const getRowStatus = (val, target) => {
+    if (!isValidStatus(val)) return "noData";
+    if (val >= target) return "pass";
+    if (val >= target * 0.95) return "warn";
+    return "fail";
+  };
 
   // ============================================
-  // SLO TABLE BUILDER
-  // Status emoji is based on the 7-day value
-  // Optional note appears between heading and table
+  // RENDERERS
   // ============================================
-  const buildSLOTable = (slos, title, note) => {
-    if (slos.length === 0) return "";
 
-    let table = "---\n\n";
-    table += "## " + title + "\n\n";
+  // Helper to normalize a span (plain strings are text spans)
+  const toSpan = (span) => typeof span === "string" ? { text: span } : span;
+
+  // ---------- Markdown ----------
+  // Pipes are escaped so names and values can't break table rows
+  const markdownSpan = (span) => {
+    span = toSpan(span);
+    let text = String(span.text).replace(/\|/g, "\\|");
+    if (span.url) text = "[" + text + "](" + span.url + ")";
+    if (span.strong) text = "**" + text + "**";
+    if (span.italic) text = "*" + text + "*";
+    return text;
+  };
 
-    // Optional note between heading and table
-    if (note) {
-      table += "*" + note + "*\n\n";
+  const markdownBlock = (block) => {
+    if (block.type === "heading") return "#".repeat(block.level) + " " + block.text;
+    if (block.type === "paragraph") return block.spans.map(markdownSpan).join("");
+    if (block.type === "table") {
+      let table = "| " + block.columns.join(" | ") + " |\n";
+      table += "|" + block.columns.map(c => "-".repeat(c.length + 2)).join("|") + "|\n";
+      for (const row of block.rows) {
+        table += "| " + row.cells.map(markdownSpan).join(" | ") + " |\n";
+      }
+      return table.trim();
     }
+    return "";
+  };
 
-    table += "| SLO Name | Target | 90 Day | 30 Day | 7 Day | Current | Trend |\n";
-    table += "|----------|--------|--------|--------|-------|---------|-------|\n";
+  const renderMarkdown = (model) => {
+    const parts = [];
+    model.sections.forEach((section, i) => {
+      if (i > 0) parts.push("---");
+      if (section.title) parts.push("## " + section.title);
+      if (section.note) parts.push("*" + section.note + "*");
+      for (const block of section.blocks) parts.push(markdownBlock(block));
+    });
+    return parts.join("\n\n") + "\n";
+  };
 
-    for (const slo of slos) {
-      const current = getCurrent(slo);
-      const currentStatus = safeGet(current, "status");
-      const day7Status = safeGet(slo.day7, "status");
+  // ---------- HTML (inline CSS) ----------
+  // Styles are inlined because most email clients strip <style> blocks
+  const HTML_STYLES = {
+    body: "font-family:Segoe UI,Helvetica,Arial,sans-serif;font-size:14px;color:#1f2328;line-height:1.5;",
+    h1: "font-size:24px;margin:0 0 8px 0;",
+    h2: "font-size:18px;margin:16px 0 8px 0;",
+    h3: "font-size:15px;margin:12px 0 6px 0;",
+    p: "margin:0 0 10px 0;",
+    hr: "border:0;border-top:1px solid #d0d7de;margin:16px 0;",
+    table: "border-collapse:collapse;margin:0 0 12px 0;",
+    th: "border:1px solid #d0d7de;padding:6px 10px;background-color:#f6f8fa;text-align:left;",
+    td: "border:1px solid #d0d7de;padding:6px 10px;",
+    a: "color:#0969da;"
+  };
 
-      // Emoji reflects 7-day status vs target
-      const emoji = getStatusEmoji(day7Status, slo.target);
-      const trend = getTrend(slo);
+  // Row background per status
+  const HTML_ROW_COLORS = {
+    fail: "#ffebe9",
+    warn: "#fff8c5",
+    pass: "",
+    noData: "#f6f8fa"
+  };
 
-      table += "| " + emoji + " " + slo.name +
-        " | " + slo.target + "%" +
-        " | " + fmtStatus(safeGet(slo.day90, "status")) +
-        " | " + fmtStatus(safeGet(slo.day30, "status")) +
-        " | " + fmtStatus(day7Status) +
-        " | " + fmtStatus(currentStatus) +
-        " | " + trend +
-        " |\n";
+  const escapeHtml = (text) => String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+  const htmlSpan = (span) => {
+    span = toSpan(span);
+    if (span.chart) return buildHtmlSparkline(span.chart.values, span.chart.target) + " " + escapeHtml(span.chart.caption);
+    let html = escapeHtml(span.text);
+    if (span.url) html = "<a href=\"" + escapeHtml(span.url) + "\" style=\"" + HTML_STYLES.a + "\">" + html + "</a>";
+    if (span.strong) html = "<strong>" + html + "</strong>";
+    if (span.italic) html = "<em>" + html + "</em>";
+    return html;
+  };
+
+  const htmlBlock = (block) => {
+    if (block.type === "heading") {
+      const tag = "h" + block.level;
+      return "<" + tag + " style=\"" + (HTML_STYLES[tag] || HTML_STYLES.h3) + "\">" + escapeHtml(block.text) + "</" + tag + ">";
+    }
+    if (block.type === "paragraph") return "<p style=\"" + HTML_STYLES.p + "\">" + block.spans.map(htmlSpan).join("") + "</p>";
+    if (block.type === "table") {
+      let table = "<table style=\"" + HTML_STYLES.table + "\">";
+      table += "<tr>" + block.columns.map(c => "<th style=\"" + HTML_STYLES.th + "\">" + escapeHtml(c) + "</th>").join("") + "</tr>";
+      for (const row of block.rows) {
+        const color = HTML_ROW_COLORS[row.status];
+        table += "<tr" + (color ? " style=\"background-color:" + color + ";\"" : "") + ">";
+        table += row.cells.map(c => "<td style=\"" + HTML_STYLES.td + "\">" + htmlSpan(c) + "</td>").join("");
+        table += "</tr>";
+      }
+      return table + "</table>";
     }
+    return "";
+  };
 
-    return table + "\n";
+  const renderHtml = (model) => {
+    let html = "<div style=\"" + HTML_STYLES.body + "\">";
+    model.sections.forEach((section, i) => {
+      if (i > 0) html += "<hr style=\"" + HTML_STYLES.hr + "\">";
+      if (section.title) html += htmlBlock(heading(2, section.title));
+      if (section.note) html += htmlBlock(paragraph(italic(section.note)));
+      for (const block of section.blocks) html += htmlBlock(block);
+    });
+    return html + "</div>";
   };
 
-  // ============================================
-  // SLO TABLES
-  // ============================================
-  if (failingSLOs.length > 0) {
-    markdown += buildSLOTable(failingSLOs, "❌ SLOs Below Target (Action Required)", "Categorization is based on the 7-day value.");
-  }
+  // ---------- Plain text ----------
+  const textSpan = (span) => {
+    span = toSpan(span);
+    return span.url ? span.text + " (" + span.url + ")" : span.text;
+  };
 
-  if (passingSLOs.length > 0) {
-    markdown += buildSLOTable(passingSLOs, "✅ SLOs Meeting Target");
-  }
+  const textBlock = (block) => {
+    if (block.type === "heading") {
+      const underline = block.level === 1 ? "=" : "-";
+      return block.text + "\n" + underline.repeat(block.text.length);
+    }
+    if (block.type === "paragraph") return block.spans.map(textSpan).join("");
+    if (block.type === "table") {
+      // Links are listed below the table to keep columns aligned
+      const links = [];
+      const rows = [block.columns].concat(block.rows.map(row => row.cells.map(c => {
+        c = toSpan(c);
+        if (c.url) links.push(c.text + ": " + c.url);
+        return c.text;
+      })));
+
+      const widths = block.columns.map((c, i) => Math.max.apply(null, rows.map(r => String(r[i]).length)));
+      const lines = rows.map(r => r.map((c, i) => String(c).padEnd(widths[i])).join("  ").trimEnd());
+      lines.splice(1, 0, widths.map(w => "-".repeat(w)).join("  "));
+
+      return lines.join("\n") + (links.length > 0 ? "\n\n" + links.join("\n") : "");
+    }
+    return "";
+  };
 
-  if (noDataSLOs.length > 0) {
-    markdown += buildSLOTable(noDataSLOs, "➖ SLOs With No Data");
-  }
+  const renderText = (model) => {
+    const parts = [];
+    model.sections.forEach((section, i) => {
+      if (i > 0) parts.push("-".repeat(40));
+      if (section.title) parts.push(textBlock(heading(2, section.title)));
+      if (section.note) parts.push(section.note);
+      for (const block of section.blocks) parts.push(textBlock(block));
+    });
+    return parts.join("\n\n") + "\n";
+  };
 
   // ============================================
-  // USER ACTION METRICS SECTION
-  // Shows user actions that need attention:
-  //   - 10+ total errors across all error types
-  //   - 3+ second average duration
-  // Top 3 actions per SLO, ranked by severity score
+  // BUILD ONE DOMAIN REPORT
+  // Everything below is built per report domain (see
+  // reportDomains in fetch_slo_data), from that domain's
+  // SLOs only. Domain settings override the configuration
+  // above.
   // ============================================
-  const userActionMetrics = sloData.userActionMetrics || {};
-  const userActionEntities = sloData.userActionEntities || {};
+  const buildDomainReport = (domain) => {
+    const slos = sloData.slos.filter(slo => domain.sloIds.includes(slo.id));
+    const domainLabel = domain.name || domain.id;
+    const title = domain.reportTitle || reportTitle;
+    const subtitle = domain.reportSubtitle || domain.name || reportSubtitle;
+    const dashboardUrl = domain.dashboardUrl || sloData.dashboardUrl;
+    const explainedUrl = domain.sloExplainedUrl || sloExplainedUrl;
+
+    // ============================================
+    // CATEGORIZE SLOs
+    // Pass/fail is based on the categorization window
+    // (7-day by default), which provides more stable
+    // alerting than daily fluctuations
+    // ============================================
+    const failingSLOs = sortWithPriority(
+      slos.filter(slo => {
+        const status = getCategorizationStatus(slo);
+        return isValidStatus(status) && status < slo.target;
+      })
+    );
+
+    const passingSLOs = sortWithPriority(
+      slos.filter(slo => {
+        const status = getCategorizationStatus(slo);
+        return isValidStatus(status) && status >= slo.target;
+      })
+    );
+
+    const noDataSLOs = sortWithPriority(
+      slos.filter(slo => {
+        const status = getCategorizationStatus(slo);
+        return !isValidStatus(status) && !isFetchFailed(slo);
+      })
+    );
+
+    // Not evaluated: the API request failed, so "no data" would be misleading
+    const fetchFailedSLOs = sortWithPriority(slos.filter(isFetchFailed));
+
+    console.log("[" + domainLabel + "] Categorized: " + failingSLOs.length + " failing, " + passingSLOs.length + " passing, " + noDataSLOs.length + " no data, " + fetchFailedSLOs.length + " not fetched");
+
+    const breachStatus = failingSLOs.length > 0 ? "❌ BREACH" : "✅ OK";
+
+    // SLOs with at least one firing burn-rate rule, pages first
+    const alertingSLOs = slos
+      .filter(slo => slo.severity && slo.severity !== "none")
+      .sort((a, b) => {
+        if (a.severity !== b.severity) return a.severity === "page" ? -1 : 1;
+        return a.name.localeCompare(b.name);
+      });
 
-  const slosWithActionableUserActions = sloData.slos.filter(slo => {
-    // Skip synthetic SLOs - they don't have user actions
-    if (slo.isSynthetic) return false;
-    if (!slo.userAction || slo.userAction.length === 0) return false;
+    // SLOs whose error budget is exhausted or projected to run out
+    // within their window, soonest first
+    const budgetAtRiskSLOs = slos
+      .filter(slo => slo.budget && slo.budget.atRisk)
+      .sort((a, b) => a.budget.daysToExhaustion - b.budget.daysToExhaustion);
+
+    const overallSeverity = domain.severity || "none";
+    const severityStatus = overallSeverity === "none"
+      ? "✅ None"
+      : getSeverityEmoji(overallSeverity) + " " + overallSeverity.toUpperCase();
+
+    // Per-SLO change of the categorization window and status transitions
+    // since the previous snapshot
+    const changes = { newlyFailing: [], recovered: [], movers: [], deltas: {} };
+
+    if (previousSnapshot) {
+
+      for (const slo of slos) {
+        const previous = previousSnapshot.slos[slo.id];
+        const status = getCategorizationStatus(slo);
+        if (!previous) continue;
+
+        // Snapshots store every window, so compare like with like
+        const previousStatus = (previous.windows || {})[categorizationWindow.name];
+        const wasFailing = previousStatus != null && previousStatus < previous.target;
+        const isFailingNow = isValidStatus(status) && status < slo.target;
+        const delta = previousStatus != null && isValidStatus(status) ? status - previousStatus : null;
+
+        changes.deltas[slo.id] = delta;
+
+        // Both transitions need a value in the previous snapshot
+        if (isFailingNow && previousStatus != null && !wasFailing) {
+          changes.newlyFailing.push({ slo: slo, previousStatus: previousStatus, delta: delta });
+        } else if (wasFailing && isValidStatus(status) && !isFailingNow) {
+          changes.recovered.push({ slo: slo, previousStatus: previousStatus, delta: delta });
+        }
+
+        if (delta != null && Math.abs(delta) >= comparisonSettings.minMovement) {
+          changes.movers.push({ slo: slo, previousStatus: previousStatus, delta: delta });
+        }
+      }
+
+      changes.movers = changes.movers
+        .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+        .slice(0, comparisonSettings.topMovers);
+    }
+
+    const sections = [];
 
-    return slo.userAction.some(ua => {
-      const metrics = userActionMetrics[ua];
-      return metrics && needsAttention(metrics);
+    // ============================================
+    // REPORT HEADER
+    // ============================================
+    const headerBlocks = [
+      heading(1, title),
+      heading(2, subtitle),
+      paragraph(strong("Report Date:"), " " + sloData.reportDate),
+      paragraph("View SLO details and contributing factors on ", link("dashboard", dashboardUrl))
+    ];
+    if (explainedUrl) {
+      headerBlocks.push(paragraph(link("SLOs explained", explainedUrl)));
+    }
+    sections.push({
+      id: "header",
+      blocks: headerBlocks
     });
-  });
 
-  if (slosWithActionableUserActions.length > 0) {
-    markdown += "---\n\n";
-    markdown += "## 📊 User Action Metrics (7-Day Totals)\n\n";
+    // SLO metric expressions that fetch_slo_data couldn't parse
+    const domainFilterErrors = (diagnostics.filterErrors || []).filter(filterError => slos.some(slo => slo.id === filterError.sloId));
+
+    // Failed requests for this domain's SLOs, and the ones not tied to SLOs (e.g. SLO discovery)
+    const domainFailures = diagnostics.failures.filter(failure =>
+      !failure.sloIds || failure.sloIds.some(sloId => slos.some(slo => slo.id === sloId)));
+
+    // ============================================
+    // EXECUTIVE SUMMARY
+    // ============================================
+    sections.push({
+      id: "summary",
+      title: "Executive Summary",
+      blocks: [{
+        type: "table",
+        columns: ["Metric", "Value"],
+        rows: [
+          { cells: [strong("Overall Status"), breachStatus] },
+          { cells: [strong("Burn-Rate Severity"), severityStatus] },
+          { cells: ["Total SLOs Monitored", String(slos.length)] },
+          { cells: ["Passing", passingSLOs.length + " ✅"] },
+          { cells: ["Failing", failingSLOs.length + (failingSLOs.length > 0 ? " ❌" : "")] },
+          { cells: ["No Data", noDataSLOs.length + (noDataSLOs.length > 0 ? " ➖" : "")] }
+        ].concat(fetchFailedSLOs.length > 0 ? [
+          { cells: ["Not Fetched", fetchFailedSLOs.length + " ⚠️"] }
+        ] : []).concat(domainFailures.length > 0 ? [
+          { cells: [strong("Data Quality"), "⚠️ " + domainFailures.length + " of " + diagnostics.totalRequests + " API requests failed"] }
+        ] : []).concat(domainFilterErrors.length > 0 ? [
+          { cells: ["Unparsed Metric Expressions", domainFilterErrors.length + " ⚠️"] }
+        ] : []).concat(budgetAtRiskSLOs.length > 0 ? [
+          { cells: ["Error Budget At Risk", budgetAtRiskSLOs.length + " ⏳"] }
+        ] : []).concat(previousSnapshot ? [
+          { cells: ["Since Last Report", changes.newlyFailing.length + " newly failing, " + changes.recovered.length + " recovered"] }
+        ] : [])
+      }]
+    });
+
+    // ============================================
+    // DATA QUALITY
+    // Only included when requests for this domain's SLOs
+    // failed in fetch_slo_data (after retries), or when
+    // metric expressions of its SLOs couldn't be parsed;
+    // the figures below may be incomplete. Requests and
+    // retries per stage are counted over all domains,
+    // failures over this domain's SLOs
+    // ============================================
+    if (domainFailures.length > 0 || domainFilterErrors.length > 0) {
+      const blocks = [];
+
+      if (domainFailures.length > 0) {
+        blocks.push(paragraph("Some data couldn't be fetched from Dynatrace, so this report may be incomplete. Failed requests were retried up to " + sloData.config.fetch.dataQuality.retries + " time(s)."));
+
+        blocks.push({
+          type: "table",
+          columns: ["Data", "Requests", "Failed", "Retried"],
+          rows: Object.entries(diagnostics.stages).map(([stage, stats]) => {
+            const failed = domainFailures.filter(failure => failure.stage === stage).length;
+            return {
+              status: failed > 0 ? "fail" : "pass",
+              cells: [DIAGNOSTIC_STAGE_LABELS[stage] || stage, String(stats.requests), String(failed) + (failed > 0 ? " ❌" : ""), String(stats.retried)]
+            };
+          })
+        });
+
+        // SLOs of this domain with at least one window missing
+        const incompleteSLOs = sortWithPriority(slos.filter(slo => (slo.fetchFailed || []).length > 0));
+        if (incompleteSLOs.length > 0) {
+          blocks.push(heading(3, "SLOs With Missing Windows"));
+          blocks.push({
+            type: "table",
+            columns: ["SLO Name", "Target", "Missing Windows"],
+            rows: incompleteSLOs.map(slo => ({
+              sloId: slo.id,
+              status: "noData",
+              cells: [
+                link(slo.name, buildSloUrl(slo.id)),
+                slo.target ? slo.target + "%" : "N/A",
+                windows.filter(window => slo.fetchFailed.includes(window.name)).map(window => window.label).join(", ")
+              ]
+            }))
+          });
+        }
+
+        blocks.push(heading(3, "Failed Requests"));
+        blocks.push({
+          type: "table",
+          columns: ["Data", "Request", "Error"],
+          rows: domainFailures.slice(0, MAX_LISTED_FAILURES).map(failure => ({
+            status: "fail",
+            cells: [
+              DIAGNOSTIC_STAGE_LABELS[failure.stage] || failure.stage,
+              failure.target,
+              (failure.status ? "HTTP " + failure.status + ": " : "") + failure.message
+            ]
+          }))
+        });
+        if (domainFailures.length > MAX_LISTED_FAILURES) {
+          blocks.push(paragraph(italic("... and " + (domainFailures.length - MAX_LISTED_FAILURES) + " more (see diagnostics in the fetch_slo_data output)")));
+        }
+      }
+
+      // SLOs whose user actions couldn't be read from the metric expression
+      if (domainFilterErrors.length > 0) {
+        blocks.push(heading(3, "Unparsed Metric Expressions"));
+        blocks.push(paragraph("User action metrics are missing for these SLOs, because their metric expression filter couldn't be parsed."));
+        blocks.push({
+          type: "table",
+          columns: ["SLO Name", "Error"],
+          rows: domainFilterErrors.map(filterError => ({
+            sloId: filterError.sloId,
+            status: "noData",
+            cells: [link(filterError.sloName, buildSloUrl(filterError.sloId)), filterError.message]
+          }))
+        });
+      }
+
+      sections.push({ id: "dataQuality", title: "⚠️ Data Quality", blocks: blocks });
+    }
+
+    // ============================================
+    // CHANGED SINCE LAST REPORT
+    // Only included when a previous snapshot is available
+    //   - Newly failing: below target now, not before
+    //   - Recovered: below target before, meeting it now
+    //   - Biggest movers: largest changes of the categorization window
+    // ============================================
+    if (previousSnapshot) {
+      const changeColumns = ["SLO Name", "Target", "Previous " + categorizationWindow.label, categorizationWindow.label, "Change"];
+      const changeRow = (change) => ({
+        sloId: change.slo.id,
+        status: getRowStatus(getCategorizationStatus(change.slo), change.slo.target),
+        cells: [
+          getStatusEmoji(getCategorizationStatus(change.slo), change.slo.target) + " " + change.slo.name,
+          change.slo.target + "%",
+          fmtStatus(change.previousStatus),
+          fmtStatus(getCategorizationStatus(change.slo)),
+          fmtDelta(change.delta)
+        ]
+      });
+
+      const blocks = [paragraph("Compared with the report from " + previousSnapshot.reportDate + ".")];
+
+      if (changes.newlyFailing.length > 0) {
+        blocks.push(heading(3, "❌ Newly Failing"));
+        blocks.push({ type: "table", columns: changeColumns, rows: changes.newlyFailing.map(changeRow) });
+      }
+
+      if (changes.recovered.length > 0) {
+        blocks.push(heading(3, "✅ Recovered"));
+        blocks.push({ type: "table", columns: changeColumns, rows: changes.recovered.map(changeRow) });
+      }
+
+      if (changes.movers.length > 0) {
+        blocks.push(heading(3, "↕️ Biggest Movers"));
+        blocks.push({ type: "table", columns: changeColumns, rows: changes.movers.map(changeRow) });
+      }
+
+      if (changes.newlyFailing.length + changes.recovered.length + changes.movers.length === 0) {
+        blocks.push(paragraph("No SLOs changed status or moved by " + comparisonSettings.minMovement + "% or more."));
+      }
 
-    // TODO: Add error analysis dashboard link if available
-    if (errorAnalysisUrl) {
-      markdown += "View detailed error analysis [dashboard](" + errorAnalysisUrl + ").\n\n";
+      sections.push({ id: "changes", title: "🔄 Changed Since Last Report", blocks: blocks });
     }
 
-    markdown += "The following user actions need attention (≥10 total errors OR ≥3s avg duration).\n\n";
-    markdown += "**Note:** Click on the user action names to view them in Dynatrace. Metrics below are based on completed user sessions and combine all action types (XHR, Load, or Route Change) with the same name, which may result in different averages than the Dynatrace UI where these are displayed separately.\n\n";
+    // ============================================
+    // BURN-RATE ALERTS
+    // Lists every SLO with a firing multi-window burn-rate rule
+    // 🚨 page = fast burn (sudden outage)
+    // 🎫 ticket = slow or sustained burn (gradual degradation)
+    // ============================================
+    const burnRateColumns = ["SLO Name", "Severity", "Rule", "Long Window", "Short Window", "Threshold"];
+    const burnRateRows = {};
+
+    for (const slo of alertingSLOs) {
+      burnRateRows[slo.id] = slo.burnRateAlerts.map(alert => ({
+        sloId: slo.id,
+        status: alert.severity === "page" ? "fail" : "warn",
+        cells: [
+          slo.name,
+          getSeverityEmoji(alert.severity) + " " + alert.severity,
+          alert.rule,
+          fmtBurnRate(alert.longBurnRate) + " (" + alert.longWindow + ")",
+          fmtBurnRate(alert.shortBurnRate) + " (" + alert.shortWindow + ")",
+          fmtBurnRate(alert.threshold)
+        ]
+      }));
+    }
 
-    for (const slo of slosWithActionableUserActions) {
-      const userActions = Array.isArray(slo.userAction) ? slo.userAction : [slo.userAction];
+    if (alertingSLOs.length > 0) {
+      sections.push({
+        id: "burnRateAlerts",
+        title: "🔥 Error Budget Burn Alerts",
+        note: "A rule fires when both its long and short window consume the error budget faster than the threshold.",
+        blocks: [{
+          type: "table",
+          columns: burnRateColumns,
+          rows: alertingSLOs.reduce((rows, slo) => rows.concat(burnRateRows[slo.id]), [])
+        }]
+      });
+    }
 
-      const actionsNeedingAttention = userActions.filter(ua => {
-        const metrics = userActionMetrics[ua];
-        return metrics && needsAttention(metrics);
+    // ============================================
+    // ERROR BUDGET AT RISK
+    // SLOs whose error budget is exhausted or projected to
+    // run out within their window (see budget in the
+    // fetch_slo_data output)
+    // ============================================
+    if (budgetAtRiskSLOs.length > 0) {
+      sections.push({
+        id: "budgetAtRisk",
+        title: "⏳ Error Budget At Risk",
+        note: "Projected with the average consumption of the last " + budgetForecast.rateDays + " complete day(s), over one window ahead. SLO windows are rolling: each day ahead is assumed to consume budget at that rate, while the window's oldest day stops counting.",
+        blocks: [{
+          type: "table",
+          columns: ["SLO Name", "SLO Window", "Budget Left", "Consumption / Day", "Projected Exhaustion"],
+          rows: budgetAtRiskSLOs.map(slo => ({
+            sloId: slo.id,
+            status: slo.budget.exhausted ? "fail" : "warn",
+            cells: [
+              link(slo.name, buildSloUrl(slo.id)),
+              slo.budget.windowDays + " days",
+              fmtBudget(slo.budget),
+              slo.budget.dailyConsumption.toFixed(1) + "% (" + fmtBurnRate(slo.budget.burnRate) + ")",
+              fmtExhaustion(slo.budget)
+            ]
+          }))
+        }]
       });
+    }
+
+    // ============================================
+    // SLO TABLES
+    // One column per evaluation window; status emoji is
+    // based on the categorization window. One row per SLO,
+    // also exported per SLO ID for downstream tasks (sloRows)
+    // The Error Budget column shows the budget left in the
+    // SLO's own window when the forecast is enabled
+    // ============================================
+    // A delta column follows the categorization window when a
+    // previous snapshot is available
+    const deltaLabel = "Δ " + categorizationWindow.label;
+    const sloColumns = ["SLO Name", "Target"];
+    for (const window of windows) {
+      sloColumns.push(window.label);
+      if (window === categorizationWindow && previousSnapshot) sloColumns.push(deltaLabel);
+    }
+    if (budgetForecast.enabled) sloColumns.push("Error Budget");
+    sloColumns.push("Trend");
+
+    const sloRows = {};
+
+    for (const slo of slos) {
+      const status = getCategorizationStatus(slo);
+
+      // Emoji reflects categorization status vs target
+      const emoji = getStatusEmoji(status, slo.target);
+      const trend = getTrend(slo);
+
+      const cells = [emoji + " " + slo.name, slo.target + "%"];
+      for (const window of windows) {
+        cells.push(fmtStatus(getWindowStatus(slo, window)));
+        if (window === categorizationWindow && previousSnapshot) {
+          cells.push(slo.id in changes.deltas ? fmtDelta(changes.deltas[slo.id]) : "new");
+        }
+      }
+      if (budgetForecast.enabled) cells.push(fmtBudget(slo.budget));
+
+      // Daily chart next to the trend emoji, when the SLO has a daily series
+      const chartValues = getTrendChartValues(slo);
+      cells.push(chartValues
+        ? { text: buildSparkline(chartValues, slo.target) + " " + trend, chart: { values: chartValues, target: slo.target, caption: trend } }
+        : trend);
+
+      sloRows[slo.id] = {
+        sloId: slo.id,
+        status: getRowStatus(status, slo.target),
+        trend: trend,
+        cells: cells
+      };
+    }
+
+    const buildSLOSection = (id, slos, title, note) => ({
+      id: id,
+      title: title,
+      note: note,
+      blocks: [{ type: "table", columns: sloColumns, rows: slos.map(slo => sloRows[slo.id]) }]
+    });
+
+    // ============================================
+    // WHAT HAPPENED (FAILING SLOs)
+    // Problems and deployment / configuration events on
+    // the application and services of each failing SLO
+    // (correlation in the fetch_slo_data output), listed
+    // below the Action Required table, most recent first
+    // ============================================
+    const correlatedSLOs = failingSLOs.filter(slo => slo.correlation);
+
+    // Helper to list the problems and events of a failing SLO
+    const buildCorrelationBlocks = (slo) => {
+      const correlation = slo.correlation;
+      const blocks = [heading(3, "What Happened: " + slo.name)];
+
+      if (correlation.entities.length === 0) {
+        blocks.push(paragraph(italic("No application or services found for this SLO.")));
+        return blocks;
+      }
+
+      const rows = [];
+      for (const problem of correlation.problems || []) {
+        rows.push({
+          time: problem.startTime,
+          row: {
+            sloId: slo.id,
+            status: problem.status === "OPEN" ? "fail" : "warn",
+            cells: [
+              fmtEventTime(problem.startTime),
+              "❗ Problem (" + (problem.endTime ? "closed after " + fmtProblemDuration(problem.startTime, problem.endTime) : "open") + ")",
+              link(problem.displayId + ": " + problem.title, buildProblemUrl(problem.id)),
+              problem.entityName || "N/A"
+            ]
+          }
+        });
+      }
+      for (const event of correlation.events || []) {
+        const title = event.version && event.title.indexOf(event.version) === -1 ? event.title + " (" + event.version + ")" : event.title;
+        const url = event.url || buildEntityUrl(event.entityId);
+        rows.push({
+          time: event.startTime,
+          row: {
+            sloId: slo.id,
+            cells: [
+              fmtEventTime(event.startTime),
+              EVENT_TYPE_LABELS[event.type] || event.type,
+              url ? link(title, url) : title,
+              event.entityName || "N/A"
+            ]
+          }
+        });
+      }
+      rows.sort((a, b) => b.time - a.time);
+
+      const entityNames = correlation.entities.map(entity => entity.name || entity.id).join(", ");
+      if (rows.length > 0) {
+        blocks.push({ type: "table", columns: ["Time (UTC)", "Type", "Details", "Entity"], rows: rows.map(item => item.row) });
+      } else if (correlation.problems && correlation.events) {
+        blocks.push(paragraph("No problems, deployments or configuration changes in the " + categorizationWindow.label + " window."));
+      }
+
+      const hiddenCount = correlation.totalProblems + correlation.totalEvents - rows.length;
+      if (hiddenCount > 0) {
+        blocks.push(paragraph(italic("... and " + hiddenCount + " more (see correlation in the fetch_slo_data output)")));
+      }
+      if (!correlation.problems || !correlation.events) {
+        blocks.push(paragraph(italic("Problems or events couldn't be fetched for this SLO, see the Data Quality section.")));
+      }
+      blocks.push(paragraph(italic("Checked: " + entityNames)));
+      return blocks;
+    };
+
+    if (failingSLOs.length > 0) {
+      const failingSection = buildSLOSection("failing", failingSLOs, "❌ SLOs Below Target (Action Required)", "Categorization is based on the " + categorizationWindow.label + " value.");
+      for (const slo of correlatedSLOs) {
+        failingSection.blocks = failingSection.blocks.concat(buildCorrelationBlocks(slo));
+      }
+      sections.push(failingSection);
+    }
+
+    if (passingSLOs.length > 0) {
+      sections.push(buildSLOSection("passing", passingSLOs, "✅ SLOs Meeting Target"));
+    }
+
+    if (noDataSLOs.length > 0) {
+      sections.push(buildSLOSection("noData", noDataSLOs, "➖ SLOs With No Data"));
+    }
 
-      if (actionsNeedingAttention.length === 0) continue;
+    // ============================================
+    // USER ACTION METRICS SECTION
+    // Shows user actions that need attention (see
+    // USER ACTION ATTENTION RULES)
+    // Top maxFlaggedUserActions per SLO, ranked by attention score
+    // ============================================
+    // Metrics and entities are keyed by application, then user action name
+    const userActionMetrics = sloData.userActionMetrics || {};
+    const userActionEntities = sloData.userActionEntities || {};
+    const multipleApplications = (sloData.applications || []).length > 1;
+
+    // Helper to look up a user action's metrics within the SLO's application
+    const getUserActionMetrics = (slo, ua) => (userActionMetrics[slo.application] || {})[ua];
+
+    // Synthetic SLOs have no user actions, so none are flagged
+    const slosWithActionableUserActions = slos.filter(slo => (slo.flaggedUserActions || []).length > 0);
+
+    // Rules of the listed SLOs: one text per distinct rule set, and
+    // "name: rule" per distinct rule (for the legend)
+    const ruleTexts = slosWithActionableUserActions
+      .map(slo => describeRules(slo.attentionRules))
+      .filter((text, index, texts) => texts.indexOf(text) === index);
+    const listedRuleTexts = slosWithActionableUserActions
+      .reduce((texts, slo) => texts.concat(slo.attentionRules.map(rule => rule.name + ": " + describeRule(rule))), [])
+      .filter((text, index, texts) => texts.indexOf(text) === index);
+
+    // Any listed segment over-represented (for the legend)
+    let hasOverRepresentedSegments = false;
+
+    if (slosWithActionableUserActions.length > 0) {
+      const blocks = [];
+
+      if (errorAnalysisUrl) {
+        blocks.push(paragraph("View detailed error analysis ", link("dashboard", errorAnalysisUrl), "."));
+      }
 
-      // Rank by severity score and show top 3
-      const sortedActions = actionsNeedingAttention
-        .map(ua => ({ userAction: ua, metrics: userActionMetrics[ua], score: getAttentionScore(userActionMetrics[ua]) }))
-        .sort((a, b) => b.score - a.score)
-        .slice(0, 3);
+      // One sentence when all listed SLOs have the same rules, otherwise each SLO lists its own
+      blocks.push(paragraph(ruleTexts.length === 1
+        ? "The following user actions need attention: " + ruleTexts[0] + "."
+        : "The following user actions need attention under the rules listed for their SLO."));
+      blocks.push(paragraph(strong("Note:"), " Click on the user action names to view them in Dynatrace. Metrics below are based on completed user sessions and combine all action types (XHR, Load, or Route Change) with the same name, which may result in different averages than the Dynatrace UI where these are displayed separately."));
+
+      for (const slo of slosWithActionableUserActions) {
+        // Flagged actions come ranked by attention score
+        const sortedActions = slo.flaggedUserActions.slice(0, maxFlaggedUserActions);
+
+        // Name the application when the report spans several
+        blocks.push(heading(3, multipleApplications ? slo.name + " (" + slo.application + ")" : slo.name));
+
+        // Actions matched by the SLO's entityName.contains / startsWith filters
+        const matched = slo.matchedUserActions;
+        if (matched && matched.names.length > 0) {
+          const patternText = matched.patterns.map(pattern => (pattern.match === "startsWith" ? "starting with" : "containing") + ' "' + pattern.value + '"').join(" or ");
+          blocks.push(paragraph(italic(
+            "Actions " + patternText + (matched.truncated ? " (" + matched.names.length + " most used)" : "") + ": " +
+            matched.names.map(shortenUserAction).join(", ")
+          )));
+        }
+
+        // SLOs with report.userActionRuleOverrides can have rules of their own
+        if (ruleTexts.length > 1) {
+          blocks.push(paragraph(italic("Rules for this SLO: " + describeRules(slo.attentionRules))));
+        }
+
+        const rows = [];
+        for (const item of sortedActions) {
+          const metrics = getUserActionMetrics(slo, item.userAction);
+
+          const displayAction = shortenUserAction(item.userAction);
+          const entityData = (userActionEntities[slo.application] || {})[item.userAction];
+          const actionUrl = buildUserActionUrl(item.userAction, entityData);
+          const linkedAction = actionUrl ? link(displayAction, actionUrl) : displayAction;
+
+          // Metrics past the limit of a rule that fired are marked ⚠️
+          const comparison = compareWithPreviousPeriod(slo.application, item.userAction);
+          const firedMetrics = getFiredMetrics(slo, item);
+          const metricCells = userActionColumns.map(column =>
+            USER_ACTION_COLUMN_DEFINITIONS[column].format(metrics, comparison) + (firedMetrics.includes(column) ? " ⚠️" : ""));
+
+          rows.push({ sloId: slo.id, cells: [linkedAction].concat(metricCells, ["🔎 " + item.firedRules.join(", ")]) });
+        }
+
+        blocks.push({
+          type: "table",
+          columns: ["User Action"].concat(userActionColumns.map(column => USER_ACTION_COLUMN_DEFINITIONS[column].label), ["Flagged By"]),
+          rows: rows
+        });
+
+        // Segment breakdown of the listed actions (see USER ACTION SEGMENTS)
+        for (const item of sortedActions) {
+          const topSegments = getTopSegments(slo.application, item.userAction);
+          if (topSegments.length === 0) continue;
+
+          if (topSegments.some(top => top.errorRatio > 0 || top.durationRatio > 0)) {
+            hasOverRepresentedSegments = true;
+          }
+
+          blocks.push(paragraph(strong("Segments of " + shortenUserAction(item.userAction) + ":")));
+          blocks.push({
+            type: "table",
+            columns: ["Dimension", "Segment", "Share of Traffic", "Share of Errors", "Share of Time"],
+            rows: topSegments.map(top => ({
+              sloId: slo.id,
+              cells: [
+                SEGMENT_DIMENSION_LABELS[top.dimension] || top.dimension,
+                top.segment.value || "(not set)",
+                fmtShare(top.segment.trafficShare),
+                fmtSegmentShare(top.segment.errorShare, top.errorRatio),
+                fmtSegmentShare(top.segment.durationShare, top.durationRatio)
+              ]
+            }))
+          });
+        }
+      }
 
-      markdown += "### " + slo.name + "\n\n";
+      sections.push({ id: "userActions", title: "📊 User Action Metrics (7-Day Totals)", blocks: blocks });
+    }
+
+    // ============================================
+    // USER ACTION REGRESSIONS SECTION
+    // Actions of this domain's SLOs that got significantly
+    // worse than in the previous 7 days (see USER ACTION
+    // REGRESSIONS), whether or not an attention rule fires
+    // ============================================
+    const regressions = [];
+    for (const slo of slos) {
+      if (slo.isSynthetic || !slo.userAction) continue;
+
+      for (const ua of slo.userAction) {
+        const comparison = compareWithPreviousPeriod(slo.application, ua);
+        if (!comparison || !comparison.regressed) continue;
+
+        // Actions shared by several SLOs are listed once
+        const existing = regressions.find(regression => regression.application === slo.application && regression.userAction === ua);
+        if (existing) {
+          existing.slos.push(slo);
+        } else {
+          regressions.push({ application: slo.application, userAction: ua, slos: [slo], comparison: comparison, metrics: getUserActionMetrics(slo, ua) });
+        }
+      }
+    }
 
-      markdown += "| User Action | Avg Duration | Custom Errors | JS Errors | Request Errors |\n";
-      markdown += "|-------------|--------------|---------------|-----------|----------------|\n";
+    // Most significant first
+    const getRegressionZScore = (comparison) => Math.max(
+      comparison.avgDuration.regressed ? comparison.avgDuration.zScore : 0,
+      comparison.errorRate.regressed ? comparison.errorRate.zScore : 0
+    );
+    regressions.sort((a, b) => getRegressionZScore(b.comparison) - getRegressionZScore(a.comparison));
+
+    if (regressions.length > 0) {
+      const blocks = [paragraph(
+        "User actions that got significantly worse than in the previous 7 days: at least " + regressionSettings.minChangePercent + "% slower or more errors per action, " +
+        "with a z-score of at least " + regressionSettings.minZScore + " and " + regressionSettings.minActions + "+ actions in both periods."
+      )];
+
+      blocks.push({
+        type: "table",
+        columns: ["User Action", "SLO", "Avg Duration (Before → Now)", "Δ Duration", "Errors / 1k Actions (Before → Now)", "Δ Error Rate"],
+        rows: regressions.slice(0, regressionSettings.maxListed).map(regression => {
+          const entityData = (userActionEntities[regression.application] || {})[regression.userAction];
+          const actionUrl = buildUserActionUrl(regression.userAction, entityData);
+          const displayAction = shortenUserAction(regression.userAction);
+          const comparison = regression.comparison;
+
+          return {
+            sloId: regression.slos[0].id,
+            status: "fail",
+            cells: [
+              actionUrl ? link(displayAction, actionUrl) : displayAction,
+              regression.slos.map(slo => multipleApplications ? slo.name + " (" + slo.application + ")" : slo.name).join(", "),
+              fmtDuration(comparison.avgDuration.previous) + " → " + fmtDuration(regression.metrics.avgDuration),
+              fmtChange(comparison.avgDuration),
+              fmtErrorRate(comparison.errorRate.previous) + " → " + fmtErrorRate(regression.metrics.errorRate),
+              fmtChange(comparison.errorRate)
+            ]
+          };
+        })
+      });
 
-      for (const item of sortedActions) {
-        const metrics = item.metrics;
+      if (regressions.length > regressionSettings.maxListed) {
+        blocks.push(paragraph(italic("... and " + (regressions.length - regressionSettings.maxListed) + " more")));
+      }
 
-        const displayAction = shortenUserAction(item.userAction);
-        const entityData = userActionEntities[item.userAction];
-        const actionUrl = buildUserActionUrl(item.userAction, entityData);
-        const linkedAction = actionUrl ? "[" + displayAction + "](" + actionUrl + ")" : displayAction;
+      sections.push({ id: "regressions", title: "🔺 User Action Regressions", blocks: blocks });
+    }
 
-        const durationDisplay = fmtDurationWithEmoji(metrics.avgDuration);
-        const custDisplay = (metrics.customErrors || 0) + getErrorEmoji(metrics.customErrors);
-        const jsDisplay = (metrics.jsErrors || 0) + getErrorEmoji(metrics.jsErrors);
-        const reqDisplay = (metrics.requestErrors || 0) + getErrorEmoji(metrics.requestErrors);
+    // ============================================
+    // SYNTHETIC AVAILABILITY METRICS SECTION
+    // Only included if your workflow has synthetic SLOs
+    // If you don't use synthetic monitors, this section
+    // will be automatically skipped
+    // ============================================
+    const syntheticMetrics = sloData.syntheticMetrics || {};
+    const syntheticSlos = slos.filter(slo => slo.isSynthetic);
+
+    // Helper to get an SLO's monitors whose availability is below the SLO target
+    const getMonitorsBelowTarget = (slo) => slo.syntheticMonitors.filter(monitor => {
+      const metrics = syntheticMetrics[monitor.syntheticId];
+      if (!metrics || metrics.avgAvailability == null) return false;
+
+      return metrics.avgAvailability < slo.target;
+    });
 
-        markdown += "| " + linkedAction + " | " + durationDisplay + " | " + custDisplay + " | " + jsDisplay + " | " + reqDisplay + " |\n";
+    const syntheticSlosNeedingAttention = syntheticSlos.filter(slo => getMonitorsBelowTarget(slo).length > 0);
+
+    if (syntheticSlos.length > 0) {
+      const blocks = [
+        paragraph("The following SLOs use Synthetic Monitoring instead of user actions."),
+        paragraph(strong("Note:"), " Synthetic Monitor data will only display if a monitor's availability falls beneath its SLO's target.")
+      ];
+
+      if (syntheticSlosNeedingAttention.length > 0) {
+        for (const slo of syntheticSlosNeedingAttention) {
+          blocks.push(heading(3, slo.name));
+
+          for (const monitor of getMonitorsBelowTarget(slo)) {
+            const metrics = syntheticMetrics[monitor.syntheticId];
+
+            const syntheticUrl = buildSyntheticUrl(monitor.syntheticId, monitor.type);
+            const linkedMonitorName = syntheticUrl
+              ? link(monitor.syntheticName, syntheticUrl)
+              : monitor.syntheticName;
+            blocks.push(paragraph(strong("Synthetic Monitor:"), " ", linkedMonitorName, " (" + (monitor.type === "HTTP" ? "HTTP" : "Browser") + ")"));
+
+            blocks.push({
+              type: "table",
+              columns: ["Metric", "Value"],
+              rows: [
+                { sloId: slo.id, cells: [strong("7-Day Avg Availability"), fmtSyntheticAvailability(metrics.avgAvailability, slo.target)] },
+                { sloId: slo.id, cells: [strong("SLO Target"), slo.target + "%"] },
+                { sloId: slo.id, cells: [strong("Locations Monitored"), String(metrics.locationCount)] }
+              ]
+            });
+
+            // Locations come sorted worst first
+            const worstLocations = metrics.locations
+              .filter(location => location.availability < slo.target)
+              .slice(0, MAX_LISTED_LOCATIONS);
+            if (worstLocations.length > 0) {
+              blocks.push(paragraph(strong("Worst Locations:")));
+              blocks.push({
+                type: "table",
+                columns: ["Location", "7-Day Availability"],
+                rows: worstLocations.map(location => ({
+                  sloId: slo.id,
+                  cells: [location.name, fmtSyntheticAvailability(location.availability, slo.target)]
+                }))
+              });
+            }
+          }
+        }
+      } else {
+        blocks.push(paragraph("✅ All Synthetic Monitors are meeting the availability target."));
       }
 
-      markdown += "\n";
+      sections.push({ id: "synthetic", title: "🤖 Synthetic Availability Metrics (7-Day Totals)", blocks: blocks });
     }
-  }
+
+    // ============================================
+    // LEGEND
+    // ============================================
+    sections.push({
+      id: "legend",
+      title: "Legend",
+      blocks: [{
+        type: "table",
+        columns: ["Symbol", "Meaning"],
+        rows: [
+          ["✅", "Meeting target"],
+          ["⚠️", "Warning / User action metric past the limit of a rule that flagged the action"],
+          ["❌", "Below target"],
+          ["➖", "No data available"],
+          ["🚨", "Page: fast error budget burn (sudden outage)"],
+          ["🎫", "Ticket: slow or sustained error budget burn"],
+          ["📈", "Consistently improving (all windows trending up)"],
+          ["📉", "Consistently degrading (all windows trending down)"],
+          ["➡️", "Stable (no meaningful change across windows)"],
+          ["〰️", "Fluctuating (mixed up/down movement across windows)"]
+        ].concat(slosWithActionableUserActions.length > 0 ? [
+          ["🔎", "User action needs attention, flagged by the rules named in Flagged By: " + listedRuleTexts.join(" / ")]
+        ] : []).concat(hasOverRepresentedSegments ? [
+          ["🎯", "Segment over-represented: its share of the action's errors (or time) is at least " + segmentSettings.minRatio + "x its share of the traffic"]
+        ] : []).concat(correlatedSLOs.length > 0 ? [
+          ["❗", "Problem detected by Dynatrace on the application or services of a failing SLO"],
+          ["🚀 / ⚙️", "Deployment / configuration change on the application or services of a failing SLO"]
+        ] : []).concat(budgetAtRiskSLOs.length > 0 ? [
+          ["⏳", "Error budget projected to run out within the SLO window (see Error Budget At Risk)"]
+        ] : []).concat(regressions.length > 0 ? [
+          ["🔺", "Regression: significantly worse than in the previous 7 days (see User Action Regressions)"]
+        ] : []).concat(previousSnapshot ? [
+          [deltaLabel, "Change of the " + categorizationWindow.label + " value since the last report (percentage points)"]
+        ] : []).map(cells => ({ cells: cells }))
+      }]
+    });
+
+    sections.push({
+      id: "footer",
+      blocks: [paragraph(link("View Dashboard in Dynatrace", dashboardUrl))]
+    });
+
+    const report = {
+      title: title,
+      subtitle: subtitle,
+      reportDate: sloData.reportDate,
+      sections: sections,
+      // Per-SLO rows for consumers that show a subset of SLOs (e.g. tickets)
+      sloColumns: sloColumns,
+      sloRows: sloRows,
+      burnRateColumns: burnRateColumns,
+      burnRateRows: burnRateRows
+    };
+
+    const markdown = renderMarkdown(report);
+    const html = renderHtml(report);
+    const text = renderText(report);
+
+    console.log("[" + domainLabel + "] HTML length: " + html.length + ", text length: " + text.length);
+
+    // ============================================
+    // STRUCTURED SUMMARY
+    // Same categorization as the markdown above, for
+    // delivery channels that need their own formatting
+    // (see 4_send_chat_report.js)
+    // ============================================
+    const summarizeSlo = (slo) => ({
+      id: slo.id,
+      name: slo.name,
+      target: slo.target,
+      categorizationStatus: getCategorizationStatus(slo),
+      latestStatus: getWindowStatus(slo, latestWindow),
+      statusEmoji: getStatusEmoji(getCategorizationStatus(slo), slo.target),
+      trend: getTrend(slo),
+      severity: slo.severity || "none",
+      url: buildSloUrl(slo.id)
+    });
+
+    const summary = {
+      domainId: domain.id,
+      domainName: domainLabel,
+      title: title,
+      subtitle: subtitle,
+      reportDate: sloData.reportDate,
+      dashboardUrl: dashboardUrl,
+      categorizationLabel: categorizationWindow.label,
+      latestLabel: latestWindow.label,
+      sloExplainedUrl: explainedUrl,
+      breachStatus: breachStatus,
+      severity: overallSeverity,
+      severityStatus: severityStatus,
+      totals: {
+        monitored: slos.length,
+        passing: passingSLOs.length,
+        failing: failingSLOs.length,
+        noData: noDataSLOs.length,
+        fetchFailed: fetchFailedSLOs.length
+      },
+      failing: failingSLOs.map(summarizeSlo),
+      alerting: alertingSLOs.map(slo => Object.assign(summarizeSlo(slo), {
+        rules: slo.burnRateAlerts.map(alert => alert.rule)
+      }))
+    };
+
+    return {
+      domainId: domain.id,
+      domainName: domain.name,
+      markdown: markdown,
+      html: html,
+      text: text,
+      report: report,
+      summary: summary
+    };
+  };
 
   // ============================================
-  // SYNTHETIC AVAILABILITY METRICS SECTION
-  // Only included if your workflow has synthetic SLOs
-  // If you don't use synthetic monitors, this section
-  // will be automatically skipped
+  // BUILD ALL DOMAIN REPORTS
+  // Without reportDomains in fetch_slo_data there is a
+  // single "default" domain covering every SLO
   // ============================================
-  const syntheticMetrics = sloData.syntheticMetrics || {};
-  const syntheticSlos = sloData.slos.filter(slo => slo.isSynthetic);
+  const domains = sloData.domains || [{ id: "default", name: null, sloIds: sloData.slos.map(slo => slo.id), severity: sloData.severity }];
 
-  const syntheticSlosNeedingAttention = syntheticSlos.filter(slo => {
-    const config = slo.syntheticConfig;
-    if (!config) return false;
+  const reports = domains.map(buildDomainReport);
 
-    const metrics = syntheticMetrics[config.syntheticId];
-    if (!metrics || metrics.avgAvailability == null) return false;
+  console.log("Built " + reports.length + " report(s): " + reports.map(r => r.domainName || r.domainId).join(", "));
+  console.log("=== MARKDOWN OUTPUT ===");
+  console.log(reports[0].markdown.substring(0, 500) + "...");
 
-    return metrics.avgAvailability < SYNTHETIC_AVAILABILITY_THRESHOLD;
-  });
+  // ============================================
+  // CROSS-DOMAIN ROLL-UP
+  // One status row per domain plus every failing SLO,
+  // built from the domain summaries and rendered with
+  // the same renderers as the domain reports
+  // ============================================
+  let rollup = null;
+
+  if (rollupSettings.enabled) {
+    const rollupSections = [];
+    const domainSummaries = reports.map(r => r.summary);
+
+    // Totals count every SLO once, even if it belongs to several domains
+    const rollupSlos = sloData.slos.filter(slo => domains.some(domain => domain.sloIds.includes(slo.id)));
+    const totals = { monitored: rollupSlos.length, passing: 0, failing: 0, noData: 0, fetchFailed: 0 };
+    for (const slo of rollupSlos) {
+      const status = getCategorizationStatus(slo);
+      if (isFetchFailed(slo)) totals.fetchFailed++;
+      else if (!isValidStatus(status)) totals.noData++;
+      else if (status < slo.target) totals.failing++;
+      else totals.passing++;
+    }
+
+    // Helper to show SLOs that couldn't be fetched next to the no-data count
+    const fmtNoData = (counts) => String(counts.noData) + (counts.fetchFailed > 0 ? " + " + counts.fetchFailed + " not fetched ⚠️" : "");
+
+    const rollupSeverity = rollupSlos.some(slo => slo.severity === "page")
+      ? "page"
+      : (rollupSlos.some(slo => slo.severity === "ticket") ? "ticket" : "none");
+    const rollupBreachStatus = totals.failing > 0 ? "❌ BREACH" : "✅ OK";
+
+    rollupSections.push({
+      id: "header",
+      blocks: [
+        heading(1, rollupSettings.title),
+        heading(2, rollupSettings.subtitle),
+        paragraph(strong("Report Date:"), " " + sloData.reportDate)
+      ]
+    });
+
+    rollupSections.push({
+      id: "domains",
+      title: "Domain Overview",
+      blocks: [{
+        type: "table",
+        columns: ["Domain", "Overall Status", "Burn-Rate Severity", "SLOs", "Passing", "Failing", "No Data"],
+        rows: domainSummaries.map(d => ({
+          status: d.totals.failing > 0 ? "fail" : (d.severity !== "none" ? "warn" : "pass"),
+          cells: [
+            d.dashboardUrl ? link(d.domainName, d.dashboardUrl) : d.domainName,
+            d.breachStatus,
+            d.severityStatus,
+            String(d.totals.monitored),
+            String(d.totals.passing),
+            String(d.totals.failing),
+            fmtNoData(d.totals)
+          ]
+        })).concat([{
+          cells: [strong("All Domains"), rollupBreachStatus, rollupSeverity === "none" ? "✅ None" : getSeverityEmoji(rollupSeverity) + " " + rollupSeverity.toUpperCase(), String(totals.monitored), String(totals.passing), String(totals.failing), fmtNoData(totals)]
+        }])
+      }]
+    });
 
-  if (syntheticSlos.length > 0) {
-    markdown += "---\n\n";
-    markdown += "## 🤖 Synthetic Availability Metrics (7-Day Totals)\n\n";
-    markdown += "The following SLOs use Synthetic Monitoring instead of user actions.\n\n";
-    markdown += "**Note:** Synthetic Monitor data will only display if availability falls beneath the SLO target of " + SYNTHETIC_AVAILABILITY_THRESHOLD + "%.\n\n";
-
-    if (syntheticSlosNeedingAttention.length > 0) {
-      for (const slo of syntheticSlosNeedingAttention) {
-        const config = slo.syntheticConfig;
-        const metrics = syntheticMetrics[config.syntheticId];
-
-        markdown += "### " + slo.name + "\n\n";
-
-        const syntheticUrl = buildSyntheticUrl(config.syntheticId, config.type);
-        const linkedMonitorName = syntheticUrl
-          ? "[" + config.syntheticName + "](" + syntheticUrl + ")"
-          : config.syntheticName;
-        markdown += "**Synthetic Monitor:** " + linkedMonitorName + "\n\n";
-
-        markdown += "| Metric | Value |\n";
-        markdown += "|--------|-------|\n";
-        markdown += "| **7-Day Avg Availability** | " + fmtSyntheticAvailability(metrics.avgAvailability, SYNTHETIC_AVAILABILITY_THRESHOLD) + " |\n";
-        markdown += "| **SLO Target** | " + SYNTHETIC_AVAILABILITY_THRESHOLD + "% |\n";
-        markdown += "| **Locations Monitored** | " + metrics.locationCount + " |\n";
-        markdown += "\n";
+    const failingRows = [];
+    for (const d of domainSummaries) {
+      for (const slo of d.failing) {
+        failingRows.push({
+          sloId: slo.id,
+          status: "fail",
+          trend: slo.trend,
+          cells: [d.domainName, slo.url ? link(slo.statusEmoji + " " + slo.name, slo.url) : slo.statusEmoji + " " + slo.name, slo.target + "%", fmtStatus(slo.categorizationStatus), fmtStatus(slo.latestStatus), slo.trend]
+        });
       }
-    } else {
-      markdown += "✅ All Synthetic Monitors are meeting the availability target.\n\n";
     }
+
+    if (failingRows.length > 0) {
+      rollupSections.push({
+        id: "failing",
+        title: "❌ SLOs Below Target (Action Required)",
+        note: "Categorization is based on the " + categorizationWindow.label + " value.",
+        blocks: [{
+          type: "table",
+          columns: ["Domain", "SLO Name", "Target", categorizationWindow.label, latestWindow.label, "Trend"],
+          rows: failingRows
+        }]
+      });
+    }
+
+    const rollupReport = {
+      title: rollupSettings.title,
+      subtitle: rollupSettings.subtitle,
+      reportDate: sloData.reportDate,
+      sections: rollupSections
+    };
+
+    rollup = {
+      markdown: renderMarkdown(rollupReport),
+      html: renderHtml(rollupReport),
+      text: renderText(rollupReport),
+      report: rollupReport,
+      summary: {
+        title: rollupSettings.title,
+        subtitle: rollupSettings.subtitle,
+        reportDate: sloData.reportDate,
+        breachStatus: rollupBreachStatus,
+        severity: rollupSeverity,
+        totals: totals,
+        domains: domainSummaries.map(d => ({ id: d.domainId, name: d.domainName, breachStatus: d.breachStatus, severity: d.severity, totals: d.totals }))
+      }
+    };
+
+    console.log("Built roll-up across " + domainSummaries.length + " domain(s)");
   }
 
   // ============================================
-  // LEGEND
+  // EMAILS
+  // One email per domain report (plus the roll-up), sent
+  // by the send_email task in a loop over this list.
+  // content is the markdown rendering; html and text are
+  // included for email setups that need them.
+  // Emails without any recipient are skipped.
   // ============================================
-  markdown += "---\n\n";
-  markdown += "## Legend\n\n";
-  markdown += "| Symbol | Meaning |\n";
-  markdown += "|--------|----------|\n";
-  markdown += "| ✅ | Meeting target / No errors |\n";
-  markdown += "| ⚠️ | Warning / Low errors (1-10) / Slow (>3s) |\n";
-  markdown += "| ❌ | Below target / High errors (>10) / Very slow (>12s) |\n";
-  markdown += "| ➖ | No data available |\n";
-  markdown += "| 📈 | Consistently improving (all windows trending up) |\n";
-  markdown += "| 📉 | Consistently degrading (all windows trending down) |\n";
-  markdown += "| ➡️ | Stable (no meaningful change across windows) |\n";
-  markdown += "| 〰️ | Fluctuating (mixed up/down movement across windows) |\n";
-  markdown += "\n";
+  const buildEmail = (recipients, subtitle, rendered) => ({
+    to: recipients.to || [],
+    cc: recipients.cc || [],
+    bcc: recipients.bcc || [],
+    subject: emailSubjectPrefix + " - " + subtitle + " - " + sloData.reportDate,
+    content: rendered.markdown,
+    html: rendered.html,
+    text: rendered.text
+  });
 
-  markdown += "---\n\n";
-  markdown += "[View Dashboard in Dynatrace](" + sloData.dashboardUrl + ")\n";
+  const emails = reports.map((r, i) => buildEmail(domains[i].recipients || emailRecipients, r.summary.subtitle, r));
+  if (rollup) {
+    emails.push(buildEmail(rollupSettings.recipients, rollupSettings.subtitle, rollup));
+  }
 
-  console.log("=== MARKDOWN OUTPUT ===");
-  console.log(markdown.substring(0, 500) + "...");
+  const deliverableEmails = emails.filter(email => email.to.length + email.cc.length + email.bcc.length > 0);
+  if (deliverableEmails.length < emails.length) {
+    console.log("Skipping " + (emails.length - deliverableEmails.length) + " email(s) without recipients - configure emailRecipients or the domain's recipients");
+  }
 
+  // The first report is also returned at the top level, so a
+  // single-domain setup reads the same fields as before
   return {
-    markdown: markdown,
-    reportDate: sloData.reportDate
+    markdown: reports[0].markdown,
+    html: reports[0].html,
+    text: reports[0].text,
+    reportDate: sloData.reportDate,
+    report: reports[0].report,
+    summary: reports[0].summary,
+    reports: reports,
+    rollup: rollup,
+    emails: deliverableEmails
   };
 }
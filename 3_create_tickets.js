@@ -0,0 +1,1090 @@
+// ============================================
+// 3_create_tickets.js
+// Ticket Sync - Azure DevOps, Jira, ServiceNow, GitHub
+//
+// Creates a ticket when SLOs breach their targets, and
+// resolves automated tickets once their SLOs have
+// recovered. Runs on every workflow execution (no custom
+// condition) so recoveries are picked up even when
+// nothing is breaching.
+//
+// Ticketing backends are pluggable: every provider
+// implements the same small interface (find open tickets,
+// comment, create, resolve) and reads the same failing-SLO
+// payload from fetch_slo_data. Enable one or more in
+// tickets.ticketProviders of the workflow config.
+//
+// Tickets are deduplicated across runs: every ticket
+// carries one fingerprint per SLO it covers (ADO tag,
+// Jira/GitHub label, ServiceNow correlation ID). If an
+// open ticket already covers a failing SLO, the latest
+// figures are added as a comment instead of opening a
+// new ticket.
+//
+// Failing SLOs are routed to their owning team via the
+// sloOwnership map. SLOs without an owner fall back to
+// defaultOwnership. workItemMode controls whether each
+// failing SLO gets its own ticket or SLOs are rolled up
+// into one ticket per owner.
+//
+// Auto-resolve: open automated tickets whose SLOs all
+// meet their target again (and passed every day for the
+// last N days) get a recovery comment and are resolved.
+//
+// The ticket priority follows the burn-rate severity
+// from fetch_slo_data (see severityPriority per provider).
+//
+// Ticket descriptions and comments reuse the SLO rows of
+// the report model built by build_markdown_email, so
+// tickets show the same figures as the email.
+//
+// Prerequisites:
+//   - Must run after build_markdown_email task
+//   - Credentials for each enabled provider stored in the
+//     Dynatrace Credential Vault (see provider settings)
+// ============================================
+
+import { execution } from '@dynatrace-sdk/automation-utils';
+import { credentialVaultClient } from '@dynatrace-sdk/client-classic-environment-v2';
+
+export default async function ({ execution_id }) {
+  const ex = await execution(execution_id);
+  const sloData = await ex.result('fetch_slo_data');
+  const buildResult = await ex.result('build_markdown_email');
+
+  // SLO and burn-rate rows of every domain report (see reportDomains in
+  // fetch_slo_data); an SLO in several domains has the same row in each
+  const domainReports = (buildResult.reports || [buildResult]).map(r => r.report);
+  const report = {
+    sloColumns: domainReports[0].sloColumns,
+    sloRows: Object.assign({}, ...domainReports.map(r => r.sloRows)),
+    burnRateColumns: domainReports[0].burnRateColumns,
+    burnRateRows: Object.assign({}, ...domainReports.map(r => r.burnRateRows))
+  };
+
+  // ============================================
+  // CONFIGURATION
+  // Read from the "tickets" section of the workflow config,
+  // validated by fetch_slo_data (see its configSchema).
+  // Credentials for each enabled provider are created in
+  // Dynatrace: Settings > Integration > Credential vault
+  // ============================================
+
+  const {
+    ticketProviders,
+    adoConfig,
+    jiraConfig,
+    serviceNowConfig,
+    gitHubConfig,
+    tags,
+    fingerprintTagPrefix,
+    workItemMode,
+    defaultOwnership,
+    sloOwnership,
+    autoResolve
+  } = sloData.config.tickets;
+
+  // ============================================
+  // HELPER FUNCTIONS
+  // ============================================
+
+  // Helper to call a REST API
+  // Returns { ok, status, data, text } instead of throwing on HTTP errors
+  const httpRequest = async (method, url, headers, body) => {
+    const response = await fetch(url, {
+      method: method,
+      headers: Object.assign({ "Content-Type": "application/json", "Accept": "application/json" }, headers),
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (error) {
+      // Non-JSON response (e.g. HTML sign-in page) - keep the raw text
+    }
+
+    return { ok: response.ok, status: response.status, data: data, text: text };
+  };
+
+  // Helper to turn an HTTP error response into an actionable message
+  // permissionHint explains which permission is missing for a 403
+  const describeHttpError = (providerLabel, response, permissionHint) => {
+    if (response.status === 401) {
+      return providerLabel + ": Authentication failed. Check that the credential is valid and not expired.";
+    } else if (response.status === 403) {
+      return providerLabel + ": Permission denied. " + permissionHint;
+    } else if (response.status === 400) {
+      return providerLabel + ": Bad request. Check the routing fields and ticket type. Details: " + response.text;
+    } else if (response.status === 404) {
+      return providerLabel + ": Not found. Check the URL, project or repository settings. Details: " + response.text;
+    }
+
+    return providerLabel + ": API returned " + response.status + ": " + response.text;
+  };
+
+  // Helper to retrieve a credential from the Dynatrace Credential Vault
+  const loadCredential = async (credentialId, providerLabel) => {
+    console.log("Retrieving " + providerLabel + " credential from Credential Vault...");
+
+    let credential;
+    try {
+      credential = await credentialVaultClient.getCredentialsDetails({ id: credentialId });
+    } catch (error) {
+      console.error("Failed to retrieve credential: " + error.message);
+      throw new Error("Failed to retrieve " + providerLabel + " credential from Credential Vault. Verify credential ID: " + credentialId);
+    }
+
+    if (!credential.token && !credential.password) {
+      throw new Error(providerLabel + " credential retrieved but token/password is empty");
+    }
+
+    console.log(providerLabel + " credential retrieved successfully");
+    return credential;
+  };
+
+  // Helper to build the fingerprint for an SLO
+  const getFingerprintTag = (sloId) => fingerprintTagPrefix + sloId;
+
+  // Helper to read SLO IDs back from a list of tags/labels
+  const getSloIdsFromTags = (tagList) => {
+    return tagList
+      .map(t => t.trim())
+      .filter(t => t.startsWith(fingerprintTagPrefix))
+      .map(t => t.substring(fingerprintTagPrefix.length));
+  };
+
+  // Helper to split the tags setting into a list
+  const splitTags = (value) => (value || "").split(";").map(t => t.trim()).filter(t => t);
+
+  // Helper to check if an SLO's categorization window value is below target
+  // (the report's "SLOs Below Target" list)
+  const isBelowTarget = (slo) => {
+    const window = slo[sloData.categorizationWindow];
+    const status = window ? window.status : null;
+    return status != null && status >= 0 && status < slo.target;
+  };
+
+  // Helper to check if an SLO is failing
+  // (below target, or a firing burn-rate rule: SLOs still meeting their
+  // target get an error budget burn ticket)
+  const isFailing = (slo) => isBelowTarget(slo) || (slo.severity && slo.severity !== "none");
+
+  // Severity ranking used to pick the worst severity of a group of SLOs
+  const SEVERITY_RANK = { none: 0, ticket: 1, page: 2 };
+
+  const getWorstSeverity = (slos) => {
+    let worst = "none";
+    for (const slo of slos) {
+      if (SEVERITY_RANK[slo.severity] > SEVERITY_RANK[worst]) {
+        worst = slo.severity;
+      }
+    }
+    return worst;
+  };
+
+  // Helper to find the first report domain an SLO belongs to
+  const getDomain = (sloId) => (sloData.domains || []).find(domain => domain.sloIds.includes(sloId)) || {};
+
+  // Helper to resolve the owner routing for an SLO
+  // Unmapped SLOs (and unmapped fields) use the domain's
+  // ticketOwnership, then defaultOwnership
+  const getOwnership = (sloId) => {
+    const owner = sloOwnership[sloId] || {};
+    const domainOwner = getDomain(sloId).ticketOwnership || {};
+    const ownership = { isDefault: !sloOwnership.hasOwnProperty(sloId) && !getDomain(sloId).ticketOwnership };
+    for (const field of Object.keys(defaultOwnership)) {
+      ownership[field] = owner[field] || domainOwner[field] || defaultOwnership[field];
+    }
+    return ownership;
+  };
+
+  // Helper to split array into batches
+  const batchArray = (array, batchSize) => {
+    const batches = [];
+    for (let i = 0; i < array.length; i += batchSize) {
+      batches.push(array.slice(i, i + batchSize));
+    }
+    return batches;
+  };
+
+  // ============================================
+  // TICKET CONTENT
+  // Tickets use the report model from build_markdown_email
+  // (same blocks and spans as the email), so a ticket shows
+  // exactly the rows the report shows for its SLOs:
+  //   { type: "heading", level, text }
+  //   { type: "paragraph", spans }
+  //   { type: "table", columns, rows: [{ cells }] }
+  // Spans: "text" or { text, url, strong, italic }
+  // Each backend renders the blocks into its own format.
+  // ============================================
+  const paragraph = (...spans) => ({ type: "paragraph", spans: spans });
+  const strong = (text) => ({ text: text, strong: true });
+  const italic = (text) => ({ text: text, italic: true });
+  const link = (text, url) => ({ text: text, url: url });
+
+  // Figures shared by descriptions and status comments:
+  // the SLO rows from the report, plus the burn-rate rows
+  // of any SLO with a firing rule
+  const buildFiguresBlocks = (slos) => {
+    const blocks = [{
+      type: "table",
+      columns: report.sloColumns,
+      rows: slos.map(slo => report.sloRows[slo.id])
+    }];
+
+    const burnRateRows = slos.reduce((rows, slo) => rows.concat(report.burnRateRows[slo.id] || []), []);
+    if (burnRateRows.length > 0) {
+      blocks.push({ type: "table", columns: report.burnRateColumns, rows: burnRateRows });
+    }
+    return blocks;
+  };
+
+  // Helper to normalize a span (plain strings are text spans)
+  const toSpan = (span) => typeof span === "string" ? { text: span } : span;
+
+  // Helper to fingerprint figures blocks: an FNV-1a hash of their cell texts
+  // Status comments carry it, so the next run recognizes unchanged figures
+  // whatever the backend does to the markup of stored comments
+  const getFiguresFingerprint = (blocks) => {
+    const content = JSON.stringify(blocks.map(block => block.rows.map(row => row.cells.map(cell => toSpan(cell).text))));
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < content.length; i++) {
+      hash = Math.imul(hash ^ content.charCodeAt(i), 0x01000193) >>> 0;
+    }
+    return "Figures ID: " + hash.toString(16).padStart(8, "0");
+  };
+
+  // HTML (Azure DevOps)
+  // Escaped like the email HTML of build_markdown_email
+  const escapeHtml = (text) => String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+  const htmlSpan = (span) => {
+    span = toSpan(span);
+    let html = escapeHtml(span.text);
+    if (span.url) html = "<a href=\"" + escapeHtml(span.url) + "\">" + html + "</a>";
+    if (span.strong) html = "<strong>" + html + "</strong>";
+    if (span.italic) html = "<em>" + html + "</em>";
+    return html;
+  };
+
+  const renderHtml = (blocks) => blocks.map(block => {
+    if (block.type === "heading") return "<h2>" + escapeHtml(block.text) + "</h2>";
+    if (block.type === "table") {
+      let table = "<table border='1' cellpadding='5' cellspacing='0'>";
+      table += "<tr>" + block.columns.map(c => "<th>" + escapeHtml(c) + "</th>").join("") + "</tr>";
+      for (const row of block.rows) {
+        table += "<tr>" + row.cells.map(c => "<td>" + htmlSpan(c) + "</td>").join("") + "</tr>";
+      }
+      return table + "</table>";
+    }
+    return "<p>" + block.spans.map(htmlSpan).join("") + "</p>";
+  }).join("");
+
+  // Markdown (GitHub), escaped like the email markdown of build_markdown_email
+  const markdownSpan = (span) => {
+    span = toSpan(span);
+    let text = String(span.text).replace(/\|/g, "\\|");
+    if (span.url) text = "[" + text + "](" + span.url + ")";
+    if (span.strong) text = "**" + text + "**";
+    if (span.italic) text = "*" + text + "*";
+    return text;
+  };
+
+  const renderMarkdown = (blocks) => blocks.map(block => {
+    if (block.type === "heading") return "## " + block.text;
+    if (block.type === "table") {
+      let table = "| " + block.columns.join(" | ") + " |\n";
+      table += "|" + block.columns.map(() => "---").join("|") + "|\n";
+      for (const row of block.rows) {
+        table += "| " + row.cells.map(markdownSpan).join(" | ") + " |\n";
+      }
+      return table.trim();
+    }
+    return block.spans.map(markdownSpan).join("");
+  }).join("\n\n");
+
+  // Jira wiki markup (Jira REST API v2, Cloud and Server)
+  const jiraSpan = (span) => {
+    span = toSpan(span);
+    let text = String(span.text).replace(/\|/g, "\\|");
+    if (span.url) text = "[" + text + "|" + span.url + "]";
+    if (span.strong) text = "*" + text + "*";
+    if (span.italic) text = "_" + text + "_";
+    return text;
+  };
+
+  const renderJiraWiki = (blocks) => blocks.map(block => {
+    if (block.type === "heading") return "h2. " + block.text;
+    if (block.type === "table") {
+      let table = "||" + block.columns.join("||") + "||\n";
+      for (const row of block.rows) {
+        table += "|" + row.cells.map(jiraSpan).join("|") + "|\n";
+      }
+      return table.trim();
+    }
+    return block.spans.map(jiraSpan).join("");
+  }).join("\n\n");
+
+  // Plain text (ServiceNow)
+  const textSpan = (span) => {
+    span = toSpan(span);
+    return span.url ? span.text + ": " + span.url : span.text;
+  };
+
+  const renderText = (blocks) => blocks.map(block => {
+    if (block.type === "heading") return block.text.toUpperCase();
+    if (block.type === "table") {
+      return block.rows
+        .map(row => "- " + row.cells.map((c, i) => block.columns[i] + ": " + textSpan(c)).join(", "))
+        .join("\n");
+    }
+    return block.spans.map(textSpan).join("");
+  }).join("\n\n");
+
+  // ============================================
+  // TICKET PROVIDERS
+  // Each factory loads its credential and returns:
+  //   label           - display name for logs and errors
+  //   supportsRollup  - false if a ticket can only carry one fingerprint
+  //   render(blocks)  - content in the backend's format
+  //   findOpenTickets(sloIds) -> [{ id, url, title, sloIds, ... }]
+  //   getLatestComment(ticket) -> string ("" if none)
+  //   addComment(ticket, blocks)
+  //   createTicket({ title, blocks, ownership, severity, sloIds }) -> { id, url }
+  //   resolveTicket(ticket, blocks)
+  // All methods throw an Error with an actionable message on failure.
+  // ============================================
+
+  // ---------- Azure DevOps ----------
+  const createAdoProvider = async () => {
+    const label = "Azure DevOps";
+    const credential = await loadCredential(adoConfig.credentialId, label);
+    const baseUrl = "https://dev.azure.com/" + adoConfig.organization + "/" + adoConfig.project;
+    const headers = { "Authorization": "Basic " + btoa(":" + credential.token) };
+    const patchHeaders = Object.assign({ "Content-Type": "application/json-patch+json" }, headers);
+    const permissionHint = "Ensure your PAT has 'Work Items: Read & Write' scope and your account has 'Edit work items' permission on the area path.";
+
+    const request = async (method, url, body, requestHeaders) => {
+      const response = await httpRequest(method, url, requestHeaders || headers, body);
+      if (!response.ok) {
+        console.error("ADO API error: " + response.status);
+        console.error("Response: " + response.text);
+        throw new Error(describeHttpError(label, response, permissionHint));
+      }
+      return response.data;
+    };
+
+    const getUrl = (item) => item._links?.html?.href || baseUrl + "/_workitems/edit/" + item.id;
+
+    return {
+      label: label,
+      supportsRollup: true,
+      render: renderHtml,
+
+      findOpenTickets: async (sloIds) => {
+        // WIQL query for open items carrying any of the fingerprint tags
+        const tagConditions = sloIds
+          .map(id => "[System.Tags] CONTAINS '" + getFingerprintTag(id).replace(/'/g, "''") + "'")
+          .join(" OR ");
+
+        const wiql = "SELECT [System.Id] FROM WorkItems " +
+          "WHERE [System.TeamProject] = @project " +
+          "AND [System.State] NOT IN ('" + adoConfig.closedStates.join("', '") + "') " +
+          "AND (" + tagConditions + ") " +
+          "ORDER BY [System.Id] ASC";
+
+        const wiqlResult = await request("POST", baseUrl + "/_apis/wit/wiql?api-version=7.0", { query: wiql });
+        const ids = (wiqlResult.workItems || []).map(item => item.id);
+        if (ids.length === 0) return [];
+
+        // WIQL only returns IDs, so fetch tags and titles for the matches
+        // (the work items API accepts up to 200 IDs per call)
+        const tickets = [];
+        for (const batch of batchArray(ids, 200)) {
+          const items = await request(
+            "GET",
+            baseUrl + "/_apis/wit/workitems?ids=" + batch.join(",") + "&fields=System.Id,System.Title,System.State,System.Tags&api-version=7.0"
+          );
+
+          for (const item of items.value || []) {
+            tickets.push({
+              id: item.id,
+              url: getUrl(item),
+              title: item.fields["System.Title"],
+              sloIds: getSloIdsFromTags((item.fields["System.Tags"] || "").split(";"))
+            });
+          }
+        }
+        return tickets;
+      },
+
+      getLatestComment: async (ticket) => {
+        const data = await request("GET", baseUrl + "/_apis/wit/workItems/" + ticket.id + "/comments?$top=1&order=desc&api-version=7.0-preview.3");
+        return data.comments && data.comments.length > 0 ? data.comments[0].text : "";
+      },
+
+      addComment: async (ticket, blocks) => {
+        await request("POST", baseUrl + "/_apis/wit/workItems/" + ticket.id + "/comments?api-version=7.0-preview.3", { text: renderHtml(blocks) });
+      },
+
+      createTicket: async ({ title, blocks, ownership, severity, sloIds }) => {
+        // Fingerprint tags let the next run find this item again
+        const itemTags = splitTags(tags)
+          .concat(splitTags(ownership.tags))
+          .concat(sloIds.map(getFingerprintTag))
+          .join(";");
+
+        const body = [
+          { op: "add", path: "/fields/System.Title", value: title },
+          { op: "add", path: "/fields/System.Description", value: renderHtml(blocks) },
+          { op: "add", path: "/fields/System.AreaPath", value: ownership.areaPath },
+          { op: "add", path: "/fields/System.Tags", value: itemTags },
+          { op: "add", path: "/fields/Microsoft.VSTS.Common.Priority", value: adoConfig.severityPriority[severity] || 2 }
+        ];
+        if (ownership.iterationPath) {
+          body.push({ op: "add", path: "/fields/System.IterationPath", value: ownership.iterationPath });
+        }
+        if (ownership.assignedTo) {
+          body.push({ op: "add", path: "/fields/System.AssignedTo", value: ownership.assignedTo });
+        }
+
+        const url = baseUrl + "/_apis/wit/workitems/$" + encodeURIComponent(ownership.workItemType) + "?api-version=7.0";
+        const item = await request("POST", url, body, patchHeaders);
+        return { id: item.id, url: getUrl(item) };
+      },
+
+      resolveTicket: async (ticket, blocks) => {
+        await request("POST", baseUrl + "/_apis/wit/workItems/" + ticket.id + "/comments?api-version=7.0-preview.3", { text: renderHtml(blocks) });
+
+        const stateUpdate = [
+          { op: "add", path: "/fields/System.State", value: adoConfig.resolvedState }
+        ];
+        if (adoConfig.resolvedReason) {
+          stateUpdate.push({ op: "add", path: "/fields/Microsoft.VSTS.Common.ResolvedReason", value: adoConfig.resolvedReason });
+        }
+
+        await request("PATCH", baseUrl + "/_apis/wit/workitems/" + ticket.id + "?api-version=7.0", stateUpdate, patchHeaders);
+      }
+    };
+  };
+
+  // ---------- Jira (Cloud and Server/Data Center) ----------
+  const createJiraProvider = async () => {
+    const label = "Jira";
+    const credential = await loadCredential(jiraConfig.credentialId, label);
+    const isCloud = jiraConfig.deployment === "cloud";
+    const apiUrl = jiraConfig.baseUrl.replace(/\/$/, "") + "/rest/api/2";
+    const headers = {
+      "Authorization": credential.password
+        ? "Basic " + btoa(credential.username + ":" + credential.password)
+        : "Bearer " + credential.token
+    };
+    const permissionHint = "Ensure the account can browse, create, comment on and transition issues in the project.";
+
+    const request = async (method, url, body) => {
+      const response = await httpRequest(method, url, headers, body);
+      if (!response.ok) {
+        console.error("Jira API error: " + response.status);
+        console.error("Response: " + response.text);
+        throw new Error(describeHttpError(label, response, permissionHint));
+      }
+      return response.data;
+    };
+
+    // Labels can't contain spaces
+    const toLabel = (tag) => tag.replace(/\s+/g, "-");
+
+    return {
+      label: label,
+      supportsRollup: true,
+      render: renderJiraWiki,
+
+      findOpenTickets: async (sloIds) => {
+        const jql = "labels in (" + sloIds.map(id => '"' + toLabel(getFingerprintTag(id)) + '"').join(", ") + ") " +
+          "AND statusCategory != Done ORDER BY created ASC";
+
+        // Cloud pages with nextPageToken (/search/jql), Server with startAt (/search)
+        const tickets = [];
+        let startAt = 0;
+        let nextPageToken = null;
+
+        while (true) {
+          const body = { jql: jql, fields: ["summary", "labels"], maxResults: 100 };
+          if (isCloud && nextPageToken) body.nextPageToken = nextPageToken;
+          if (!isCloud) body.startAt = startAt;
+
+          const data = await request("POST", apiUrl + (isCloud ? "/search/jql" : "/search"), body);
+          const issues = data.issues || [];
+
+          for (const issue of issues) {
+            tickets.push({
+              id: issue.key,
+              url: jiraConfig.baseUrl.replace(/\/$/, "") + "/browse/" + issue.key,
+              title: issue.fields.summary,
+              sloIds: getSloIdsFromTags(issue.fields.labels || [])
+            });
+          }
+
+          if (isCloud) {
+            if (!data.nextPageToken) break;
+            nextPageToken = data.nextPageToken;
+          } else {
+            startAt += issues.length;
+            if (issues.length === 0 || startAt >= data.total) break;
+          }
+        }
+        return tickets;
+      },
+
+      getLatestComment: async (ticket) => {
+        const data = await request("GET", apiUrl + "/issue/" + ticket.id + "/comment?orderBy=-created&maxResults=1");
+        return data.comments && data.comments.length > 0 ? data.comments[0].body : "";
+      },
+
+      addComment: async (ticket, blocks) => {
+        await request("POST", apiUrl + "/issue/" + ticket.id + "/comment", { body: renderJiraWiki(blocks) });
+      },
+
+      createTicket: async ({ title, blocks, ownership, severity, sloIds }) => {
+        const fields = {
+          project: { key: ownership.project || jiraConfig.projectKey },
+          summary: title,
+          description: renderJiraWiki(blocks),
+          issuetype: { name: ownership.workItemType },
+          labels: splitTags(tags).concat(splitTags(ownership.tags)).concat(sloIds.map(getFingerprintTag)).map(toLabel)
+        };
+        if (jiraConfig.severityPriority[severity]) {
+          fields.priority = { name: jiraConfig.severityPriority[severity] };
+        }
+        if (ownership.component) {
+          fields.components = [{ name: ownership.component }];
+        }
+        if (ownership.assignedTo) {
+          fields.assignee = isCloud ? { accountId: ownership.assignedTo } : { name: ownership.assignedTo };
+        }
+
+        const issue = await request("POST", apiUrl + "/issue", { fields: fields });
+        return { id: issue.key, url: jiraConfig.baseUrl.replace(/\/$/, "") + "/browse/" + issue.key };
+      },
+
+      resolveTicket: async (ticket, blocks) => {
+        await request("POST", apiUrl + "/issue/" + ticket.id + "/comment", { body: renderJiraWiki(blocks) });
+
+        // Transitions are workflow-specific, so look the configured one up by name
+        const data = await request("GET", apiUrl + "/issue/" + ticket.id + "/transitions");
+        const transition = (data.transitions || []).find(t => t.name.toLowerCase() === jiraConfig.resolveTransition.toLowerCase());
+        if (!transition) {
+          throw new Error(label + ": Transition '" + jiraConfig.resolveTransition + "' is not available for " + ticket.id + ". Available: " + (data.transitions || []).map(t => t.name).join(", "));
+        }
+
+        await request("POST", apiUrl + "/issue/" + ticket.id + "/transitions", { transition: { id: transition.id } });
+      }
+    };
+  };
+
+  // ---------- ServiceNow (incident) ----------
+  const createServiceNowProvider = async () => {
+    const label = "ServiceNow";
+    const credential = await loadCredential(serviceNowConfig.credentialId, label);
+    const instanceUrl = serviceNowConfig.instanceUrl.replace(/\/$/, "");
+    const headers = { "Authorization": "Basic " + btoa(credential.username + ":" + credential.password) };
+    const permissionHint = "Ensure the integration user has the itil role (read/write on the incident table).";
+
+    const request = async (method, url, body) => {
+      const response = await httpRequest(method, url, headers, body);
+      if (!response.ok) {
+        console.error("ServiceNow API error: " + response.status);
+        console.error("Response: " + response.text);
+        throw new Error(describeHttpError(label, response, permissionHint));
+      }
+      return response.data;
+    };
+
+    const getUrl = (sysId) => instanceUrl + "/nav_to.do?uri=incident.do?sys_id=" + sysId;
+
+    return {
+      label: label,
+      supportsRollup: false,
+      render: renderText,
+
+      findOpenTickets: async (sloIds) => {
+        const query = "active=true^correlation_idIN" + sloIds.map(getFingerprintTag).join(",");
+        const data = await request(
+          "GET",
+          instanceUrl + "/api/now/table/incident?sysparm_query=" + encodeURIComponent(query) +
+          "&sysparm_fields=sys_id,number,short_description,correlation_id&sysparm_limit=1000"
+        );
+
+        return (data.result || []).map(incident => ({
+          id: incident.number,
+          sysId: incident.sys_id,
+          url: getUrl(incident.sys_id),
+          title: incident.short_description,
+          sloIds: getSloIdsFromTags([incident.correlation_id || ""])
+        }));
+      },
+
+      getLatestComment: async (ticket) => {
+        // Work notes are stored in the journal table
+        const query = "element_id=" + ticket.sysId + "^element=work_notes^ORDERBYDESCsys_created_on";
+        const data = await request(
+          "GET",
+          instanceUrl + "/api/now/table/sys_journal_field?sysparm_query=" + encodeURIComponent(query) + "&sysparm_fields=value&sysparm_limit=1"
+        );
+        return data.result && data.result.length > 0 ? data.result[0].value : "";
+      },
+
+      addComment: async (ticket, blocks) => {
+        await request("PATCH", instanceUrl + "/api/now/table/incident/" + ticket.sysId, { work_notes: renderText(blocks) });
+      },
+
+      createTicket: async ({ title, blocks, ownership, severity, sloIds }) => {
+        const priority = serviceNowConfig.severityPriority[severity] || serviceNowConfig.severityPriority.none;
+        const body = {
+          short_description: title,
+          description: renderText(blocks),
+          correlation_id: getFingerprintTag(sloIds[0]),
+          impact: String(priority.impact),
+          urgency: String(priority.urgency)
+        };
+        if (ownership.assignmentGroup) body.assignment_group = ownership.assignmentGroup;
+        if (ownership.assignedTo) body.assigned_to = ownership.assignedTo;
+
+        // Display values let assignment group and assignee be given by name
+        const data = await request("POST", instanceUrl + "/api/now/table/incident?sysparm_input_display_value=true", body);
+        return { id: data.result.number, url: getUrl(data.result.sys_id) };
+      },
+
+      resolveTicket: async (ticket, blocks) => {
+        await request("PATCH", instanceUrl + "/api/now/table/incident/" + ticket.sysId, {
+          state: serviceNowConfig.resolvedState,
+          close_code: serviceNowConfig.closeCode,
+          close_notes: renderText(blocks)
+        });
+      }
+    };
+  };
+
+  // ---------- GitHub Issues ----------
+  const createGitHubProvider = async () => {
+    const label = "GitHub";
+    const credential = await loadCredential(gitHubConfig.credentialId, label);
+    const apiUrl = gitHubConfig.apiUrl.replace(/\/$/, "");
+    const headers = {
+      "Authorization": "Bearer " + credential.token,
+      "Accept": "application/vnd.github+json",
+      "X-GitHub-Api-Version": "2022-11-28"
+    };
+    const permissionHint = "Ensure the token has 'issues: write' permission on the repository.";
+
+    const request = async (method, url, body) => {
+      const response = await httpRequest(method, url, headers, body);
+      if (!response.ok) {
+        console.error("GitHub API error: " + response.status);
+        console.error("Response: " + response.text);
+        throw new Error(describeHttpError(label, response, permissionHint));
+      }
+      return response.data;
+    };
+
+    // Every repository an owner routes to must be searched for open issues
+    const repositories = [gitHubConfig.repository];
+    const domainOwners = (sloData.domains || []).map(domain => domain.ticketOwnership || {});
+    for (const owner of Object.values(sloOwnership).concat(domainOwners, [defaultOwnership])) {
+      if (owner.repository && !repositories.includes(owner.repository)) {
+        repositories.push(owner.repository);
+      }
+    }
+
+    return {
+      label: label,
+      supportsRollup: true,
+      render: renderMarkdown,
+
+      findOpenTickets: async (sloIds) => {
+        // The labels filter is an AND, so list issues carrying the common
+        // tags and read the fingerprint labels client-side
+        const tickets = [];
+        for (const repository of repositories) {
+          for (let page = 1; ; page++) {
+            const issues = await request(
+              "GET",
+              apiUrl + "/repos/" + repository + "/issues?state=open&per_page=100&page=" + page +
+              "&labels=" + encodeURIComponent(splitTags(tags).join(","))
+            );
+
+            for (const issue of issues) {
+              if (issue.pull_request) continue;
+              const issueSloIds = getSloIdsFromTags((issue.labels || []).map(l => typeof l === "string" ? l : l.name));
+              if (!issueSloIds.some(id => sloIds.includes(id))) continue;
+
+              tickets.push({
+                id: repository + "#" + issue.number,
+                repository: repository,
+                number: issue.number,
+                commentCount: issue.comments || 0,
+                url: issue.html_url,
+                title: issue.title,
+                sloIds: issueSloIds
+              });
+            }
+
+            if (issues.length < 100) break;
+          }
+        }
+        return tickets;
+      },
+
+      getLatestComment: async (ticket) => {
+        if (ticket.commentCount === 0) return "";
+        // Comments are listed oldest first, so request the last page of size 1
+        const comments = await request(
+          "GET",
+          apiUrl + "/repos/" + ticket.repository + "/issues/" + ticket.number + "/comments?per_page=1&page=" + ticket.commentCount
+        );
+        return comments.length > 0 ? comments[0].body : "";
+      },
+
+      addComment: async (ticket, blocks) => {
+        await request("POST", apiUrl + "/repos/" + ticket.repository + "/issues/" + ticket.number + "/comments", { body: renderMarkdown(blocks) });
+      },
+
+      createTicket: async ({ title, blocks, ownership, severity, sloIds }) => {
+        const repository = ownership.repository || gitHubConfig.repository;
+        const labels = splitTags(tags).concat(splitTags(ownership.tags)).concat(sloIds.map(getFingerprintTag));
+        if (gitHubConfig.severityPriority[severity]) {
+          labels.push(gitHubConfig.severityPriority[severity]);
+        }
+
+        const body = { title: title, body: renderMarkdown(blocks), labels: labels };
+        if (ownership.assignedTo) body.assignees = [ownership.assignedTo];
+
+        const issue = await request("POST", apiUrl + "/repos/" + repository + "/issues", body);
+        return { id: repository + "#" + issue.number, url: issue.html_url };
+      },
+
+      resolveTicket: async (ticket, blocks) => {
+        await request("POST", apiUrl + "/repos/" + ticket.repository + "/issues/" + ticket.number + "/comments", { body: renderMarkdown(blocks) });
+        await request("PATCH", apiUrl + "/repos/" + ticket.repository + "/issues/" + ticket.number, { state: "closed", state_reason: "completed" });
+      }
+    };
+  };
+
+  const providerFactories = {
+    ado: createAdoProvider,
+    jira: createJiraProvider,
+    servicenow: createServiceNowProvider,
+    github: createGitHubProvider
+  };
+
+  // ============================================
+  // FIND FAILING SLOs
+  // ============================================
+  const failingSlos = sloData.slos.filter(isFailing);
+
+  console.log("Found " + failingSlos.length + " failing SLOs");
+
+  if (ticketProviders.length === 0) {
+    console.log("No ticket providers configured. Skipping ticket sync.");
+    return { status: "skipped", reason: "No ticket providers configured", created: [], updated: [], unchanged: [], resolved: [], pendingResolution: [], errors: [] };
+  }
+
+  if (sloData.slos.length === 0) {
+    console.log("No SLOs in the report. Skipping ticket sync.");
+    return { status: "skipped", reason: "No SLOs in report", created: [], updated: [], unchanged: [], resolved: [], pendingResolution: [], errors: [] };
+  }
+
+  const severity = sloData.severity || "none";
+
+  const sloById = {};
+  for (const slo of sloData.slos) {
+    sloById[slo.id] = slo;
+  }
+
+  const created = [];
+  const updated = [];
+  const unchanged = [];
+  const resolved = [];
+  const pendingResolution = [];
+  const errors = [];
+
+  // ============================================
+  // DAILY SLO STATUS (FOR AUTO-RESOLVE)
+  // Read from the daily series fetch_slo_data returns for
+  // each SLO (dailySeries, oldest day first, covering at
+  // least autoResolve.requiredPassingDays complete days;
+  // the last day is yesterday). SLOs without a daily series
+  // (no metric name, or the series couldn't be fetched)
+  // keep their tickets pending, with the reason listed.
+  // ============================================
+  // Helper to get an SLO's status on each of the last N days (null = no data)
+  const getRecentDailyStatus = (slo) => (slo.dailySeries || [])
+    .slice(-autoResolve.requiredPassingDays)
+    .map(point => point.status);
+
+  // Helper to check if an SLO met its target on every one of the last N days
+  const hasPassedAllDays = (slo) => {
+    const statuses = getRecentDailyStatus(slo);
+    return statuses.length >= autoResolve.requiredPassingDays &&
+      statuses.every(status => status != null && status >= slo.target);
+  };
+
+  // Helper to explain why a recovered ticket isn't resolved yet
+  const getPendingReason = (slos) => {
+    const withoutSeries = slos.filter(slo => !slo.dailySeries || slo.dailySeries.length === 0);
+    if (withoutSeries.length > 0) {
+      return "No daily status for " + withoutSeries.map(slo => slo.name).join(", ") +
+        " (the SLO has no metric name, or its daily series couldn't be fetched) - resolve the ticket manually";
+    }
+    return "Not yet meeting the target on each of the last " + autoResolve.requiredPassingDays + " day(s)";
+  };
+
+  // ============================================
+  // SYNC ONE PROVIDER
+  // 1. Find open tickets carrying the fingerprint of any
+  //    SLO in the report
+  // 2. Comment on open tickets covering failing SLOs
+  // 3. Create tickets for failing SLOs without one
+  // 4. Resolve tickets whose SLOs have all recovered
+  // ============================================
+  const syncProvider = async (providerName, provider) => {
+    const summarize = (ticket, sloIds) => ({
+      provider: providerName,
+      id: ticket.id,
+      url: ticket.url,
+      title: ticket.title,
+      sloIds: sloIds
+    });
+
+    console.log("[" + provider.label + "] Searching for open tickets...");
+    const openTickets = await provider.findOpenTickets(sloData.slos.map(slo => slo.id));
+    console.log("[" + provider.label + "] Found " + openTickets.length + " open ticket(s) for SLOs in the report");
+
+    // Match each failing SLO to the oldest open ticket carrying its fingerprint
+    const ticketsToComment = [];
+    const slosWithoutTicket = [];
+
+    for (const slo of failingSlos) {
+      const ticket = openTickets.find(t => t.sloIds.includes(slo.id));
+
+      if (!ticket) {
+        slosWithoutTicket.push(slo);
+        continue;
+      }
+
+      let entry = ticketsToComment.find(e => e.ticket.id === ticket.id);
+      if (!entry) {
+        entry = { ticket: ticket, slos: [] };
+        ticketsToComment.push(entry);
+      }
+      entry.slos.push(slo);
+    }
+
+    // ----- Update existing tickets -----
+    // Adds a comment with the latest figures, unless the
+    // most recent comment carries the same figures fingerprint
+    for (const entry of ticketsToComment) {
+      const ticket = entry.ticket;
+      const figuresBlocks = buildFiguresBlocks(entry.slos);
+      const figuresFingerprint = getFiguresFingerprint(figuresBlocks);
+      const summary = summarize(ticket, entry.slos.map(slo => slo.id));
+
+      try {
+        const latestComment = await provider.getLatestComment(ticket);
+
+        if (latestComment && latestComment.includes(figuresFingerprint)) {
+          console.log("[" + provider.label + "] Ticket " + ticket.id + " already has the latest figures");
+          unchanged.push(summary);
+          continue;
+        }
+
+        await provider.addComment(ticket, [
+          paragraph(strong("SLO status update - " + sloData.reportDate)),
+          paragraph("Burn-rate severity: " + getWorstSeverity(entry.slos))
+        ].concat(figuresBlocks, [paragraph(italic(figuresFingerprint))]));
+
+        console.log("[" + provider.label + "] Added status comment to ticket " + ticket.id);
+        updated.push(summary);
+      } catch (error) {
+        console.error("[" + provider.label + "] Failed to update ticket " + ticket.id + ": " + error.message);
+        errors.push({ provider: providerName, id: ticket.id, reason: error.message });
+      }
+    }
+
+    // ----- Create tickets for SLOs without an open ticket -----
+    // Routed by sloOwnership: one ticket per SLO in "perSlo"
+    // mode, one ticket per owner in "rollup" mode. Unmapped
+    // SLOs land in the defaultOwnership bucket.
+    const newTicketGroups = [];
+
+    for (const slo of slosWithoutTicket) {
+      const ownership = getOwnership(slo.id);
+      const groupKey = workItemMode === "rollup" && provider.supportsRollup
+        ? JSON.stringify(ownership)
+        : slo.id;
+
+      let group = newTicketGroups.find(g => g.key === groupKey);
+      if (!group) {
+        group = { key: groupKey, ownership: ownership, slos: [] };
+        newTicketGroups.push(group);
+      }
+      group.slos.push(slo);
+    }
+
+    for (const group of newTicketGroups) {
+      const ownership = group.ownership;
+      const groupSeverity = getWorstSeverity(group.slos);
+      const sloIds = group.slos.map(slo => slo.id);
+
+      // Build title: SLOs still meeting their target only burn error budget
+      const belowTargetCount = group.slos.filter(isBelowTarget).length;
+      const burningCount = group.slos.length - belowTargetCount;
+      const alertName = belowTargetCount > 0 ? "SLO Breach Alert" : "Error Budget Burn Alert";
+      const condition = burningCount === 0 ? "Below Target"
+        : (belowTargetCount === 0 ? "Burning Error Budget" : "Below Target or Burning Error Budget");
+      const severityPrefix = groupSeverity !== "none" ? "[" + groupSeverity.toUpperCase() + "] " : "";
+      const title = group.slos.length === 1
+        ? severityPrefix + alertName + " - " + group.slos[0].name + " " + condition + " - " + sloData.reportDate
+        : severityPrefix + alertName + " - " + group.slos.length + " SLO(s) " + condition + " - " + sloData.reportDate;
+
+      // Build description with failing SLO details
+      const statusText = burningCount === 0
+        ? belowTargetCount + " SLO(s) are currently below their target."
+        : (belowTargetCount === 0
+          ? burningCount + " SLO(s) still meet their target, but are burning error budget too fast."
+          : belowTargetCount + " SLO(s) are currently below their target, and " + burningCount + " still meet it but are burning error budget too fast.");
+      const blocks = [
+        { type: "heading", level: 2, text: (belowTargetCount > 0 ? "SLO Breach Report - " : "Error Budget Burn Report - ") + sloData.reportDate },
+        paragraph(statusText),
+        paragraph("Burn-rate severity: " + groupSeverity)
+      ].concat(buildFiguresBlocks(group.slos));
+      if (ownership.isDefault) {
+        blocks.push(paragraph(italic("No owner is configured for " + (group.slos.length === 1 ? "this SLO" : "these SLOs") + " - routed to the default owner. Add an entry to sloOwnership to route it to the owning team.")));
+      }
+      blocks.push(paragraph(link("View Dashboard in Dynatrace", getDomain(group.slos[0].id).dashboardUrl || sloData.dashboardUrl)));
+      blocks.push(paragraph(italic("This ticket was created automatically by the SLO monitoring workflow.")));
+
+      console.log("[" + provider.label + "] Creating ticket: " + title);
+
+      try {
+        const ticket = await provider.createTicket({
+          title: title,
+          blocks: blocks,
+          ownership: ownership,
+          severity: groupSeverity,
+          sloIds: sloIds
+        });
+
+        console.log("[" + provider.label + "] Ticket created successfully: " + ticket.id);
+
+        created.push(Object.assign(summarize({ id: ticket.id, url: ticket.url, title: title }, sloIds), {
+          areaPath: ownership.areaPath,
+          assignedTo: ownership.assignedTo || null
+        }));
+      } catch (error) {
+        console.error("[" + provider.label + "] Failed to create ticket: " + error.message);
+        errors.push({ provider: providerName, sloIds: sloIds, reason: error.message });
+      }
+    }
+
+    // ----- Auto-resolve recovered tickets -----
+    // An open ticket is resolved once none of its SLOs are
+    // failing and each of them met its target on every one
+    // of the last N days
+    if (!autoResolve.enabled) return;
+
+    const recoveryCandidates = [];
+    for (const ticket of openTickets) {
+      const ticketSlos = ticket.sloIds.map(id => sloById[id]).filter(slo => slo);
+
+      if (ticketSlos.length > 0 && !ticketSlos.some(isFailing)) {
+        recoveryCandidates.push({ ticket: ticket, slos: ticketSlos });
+      }
+    }
+
+    if (recoveryCandidates.length === 0) return;
+
+    console.log("[" + provider.label + "] Checking " + recoveryCandidates.length + " ticket(s) for recovery over the last " + autoResolve.requiredPassingDays + " day(s)...");
+
+    for (const candidate of recoveryCandidates) {
+      const ticket = candidate.ticket;
+      const summary = summarize(ticket, candidate.slos.map(slo => slo.id));
+
+      if (!candidate.slos.every(hasPassedAllDays)) {
+        const reason = getPendingReason(candidate.slos);
+        console.log("[" + provider.label + "] Ticket " + ticket.id + " recovered but is not resolved: " + reason);
+        pendingResolution.push(Object.assign(summary, { reason: reason }));
+        continue;
+      }
+
+      // Recovery comment with the figures that justified the resolution
+      const blocks = [
+        paragraph(strong("SLO recovered - " + sloData.reportDate)),
+        paragraph("All SLOs covered by this ticket met their target on each of the last " + autoResolve.requiredPassingDays + " day(s). Resolving automatically."),
+        {
+          type: "table",
+          columns: report.sloColumns.concat(["Lowest Daily Status"]),
+          rows: candidate.slos.map(slo => ({
+            cells: report.sloRows[slo.id].cells.concat([Math.min.apply(null, getRecentDailyStatus(slo)).toFixed(2) + "%"])
+          }))
+        }
+      ];
+
+      try {
+        await provider.resolveTicket(ticket, blocks);
+        console.log("[" + provider.label + "] Resolved ticket " + ticket.id);
+        resolved.push(summary);
+      } catch (error) {
+        console.error("[" + provider.label + "] Failed to resolve ticket " + ticket.id + ": " + error.message);
+        errors.push({ provider: providerName, id: ticket.id, reason: error.message });
+      }
+    }
+  };
+
+  // ============================================
+  // RUN ALL ENABLED PROVIDERS
+  // A failing provider doesn't stop the others
+  // ============================================
+  for (const providerName of ticketProviders) {
+    const factory = providerFactories[providerName];
+    if (!factory) {
+      errors.push({ provider: providerName, reason: "Unknown ticket provider '" + providerName + "'. Options: " + Object.keys(providerFactories).join(", ") });
+      continue;
+    }
+
+    try {
+      const provider = await factory();
+      await syncProvider(providerName, provider);
+    } catch (error) {
+      console.error("[" + providerName + "] Ticket sync failed: " + error.message);
+      errors.push({ provider: providerName, reason: error.message });
+    }
+  }
+
+  // ============================================
+  // RETURN SUMMARY
+  // ============================================
+  console.log("Created: " + created.length + ", Updated: " + updated.length + ", Unchanged: " + unchanged.length + ", Resolved: " + resolved.length + ", Pending resolution: " + pendingResolution.length + ", Errors: " + errors.length);
+
+  const hasChanges = created.length + updated.length + unchanged.length + resolved.length + pendingResolution.length > 0;
+
+  return {
+    status: errors.length === 0 ? "success" : (hasChanges ? "partial" : "error"),
+    reason: errors.length > 0 ? errors.map(e => e.reason).join(" | ") : undefined,
+    created: created,
+    updated: updated,
+    unchanged: unchanged,
+    resolved: resolved,
+    pendingResolution: pendingResolution,
+    errors: errors,
+    severity: severity,
+    failingSloCount: failingSlos.length
+  };
+}
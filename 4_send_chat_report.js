@@ -0,0 +1,338 @@
+// ============================================
+// 4_send_chat_report.js
+// Chat Report Delivery - Slack and Microsoft Teams
+//
+// Posts the SLO report to chat channels with native
+// formatting: a Slack Block Kit message and a Teams
+// Adaptive Card, built from the structured summary of
+// the build_markdown_email task (the markdown tables
+// don't render in chat).
+//
+// Each message carries the executive summary, the
+// failing SLOs with trend emojis and deep links, any
+// burn-rate alerts and a compact passing count. With
+// several report domains, each domain gets its own
+// message.
+//
+// Prerequisites:
+//   - Must run after build_markdown_email task
+//   - Chat channels in chat.chatChannels of the workflow config
+//   - Incoming webhook URLs stored in the Dynatrace
+//     Credential Vault as Token credentials
+// ============================================
+
+import { execution } from '@dynatrace-sdk/automation-utils';
+import { credentialVaultClient } from '@dynatrace-sdk/client-classic-environment-v2';
+
+export default async function ({ execution_id }) {
+  const ex = await execution(execution_id);
+  const sloData = await ex.result('fetch_slo_data');
+  const report = await ex.result('build_markdown_email');
+
+  // One message per report domain (see reportDomains in fetch_slo_data)
+  const summaries = (report.reports || [report]).map(r => r.summary);
+
+  // ============================================
+  // CONFIGURATION
+  // Read from the "chat" section of the workflow config,
+  // validated by fetch_slo_data (see its configSchema).
+  // Webhook credentials are created in Dynatrace:
+  // Settings > Integration > Credential vault
+  // ============================================
+
+  const { chatChannels, sendWhen } = sloData.config.chat;
+
+  // Maximum failing SLOs listed individually (Slack allows 50 blocks per message)
+  const MAX_LISTED_SLOS = sloData.config.chat.maxListedSlos;
+
+  // ============================================
+  // HELPER FUNCTIONS
+  // ============================================
+
+  // Helper to format status value
+  const fmtStatus = (val) => {
+    if (val == null || val < 0) return "N/A";
+    return val.toFixed(2) + "%";
+  };
+
+  // Helper to get the severity emoji for burn-rate alerts
+  const getSeverityEmoji = (severity) => {
+    if (severity === "page") return "🚨";
+    if (severity === "ticket") return "🎫";
+    return "";
+  };
+
+  // Helper to escape text for Slack mrkdwn
+  const escapeSlack = (text) => String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+  // Helper to escape link text for Teams markdown
+  const escapeTeams = (text) => String(text).replace(/([\[\]])/g, "\\$1");
+
+  // Helper to describe one failing SLO in a single line
+  // (categorization window and latest window, as configured in fetch_slo_data)
+  const describeSlo = (summary, slo) => "Target " + slo.target + "% · " + summary.categorizationLabel + " " + fmtStatus(slo.categorizationStatus) +
+    " · " + summary.latestLabel + " " + fmtStatus(slo.latestStatus) + " · Trend " + slo.trend;
+
+  // Helper to derive the message content shared by all channel formats
+  const getMessageContent = (summary) => {
+    // Failing SLOs listed individually, the rest summarized as "+N more"
+    const listedSlos = summary.failing.slice(0, MAX_LISTED_SLOS);
+
+    // Burn-rate alerts for SLOs that are not already in the failing list
+    const failingIds = summary.failing.map(slo => slo.id);
+
+    // Link buttons, without the ones whose URL isn't configured
+    const links = [
+      { title: "View Dashboard", url: summary.dashboardUrl },
+      { title: "SLOs Explained", url: summary.sloExplainedUrl }
+    ].filter(item => item.url);
+
+    return {
+      listedSlos: listedSlos,
+      links: links,
+      hiddenSloCount: summary.failing.length - listedSlos.length,
+      extraAlerts: summary.alerting.filter(slo => !failingIds.includes(slo.id)),
+      passingLine: "✅ " + summary.totals.passing + " of " + summary.totals.monitored + " SLOs meeting target" +
+        (summary.totals.noData > 0 ? " · ➖ " + summary.totals.noData + " with no data" : "") +
+        (summary.totals.fetchFailed > 0 ? " · ⚠️ " + summary.totals.fetchFailed + " not fetched" : "")
+    };
+  };
+
+  // ============================================
+  // SLACK BLOCK KIT MESSAGE
+  // ============================================
+  const buildSlackMessage = (summary) => {
+    const { listedSlos, links, hiddenSloCount, extraAlerts, passingLine } = getMessageContent(summary);
+    const blocks = [];
+
+    blocks.push({ type: "header", text: { type: "plain_text", text: summary.title + " - " + summary.subtitle, emoji: true } });
+    blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: "*Report Date:* " + escapeSlack(summary.reportDate) }] });
+
+    // Executive summary
+    blocks.push({
+      type: "section",
+      fields: [
+        { type: "mrkdwn", text: "*Overall Status*\n" + summary.breachStatus },
+        { type: "mrkdwn", text: "*Burn-Rate Severity*\n" + summary.severityStatus },
+        { type: "mrkdwn", text: "*Failing*\n" + summary.totals.failing + (summary.totals.failing > 0 ? " ❌" : "") },
+        { type: "mrkdwn", text: "*Passing*\n" + summary.totals.passing + " ✅" }
+      ]
+    });
+
+    // Failing SLOs
+    if (listedSlos.length > 0) {
+      blocks.push({ type: "divider" });
+      blocks.push({ type: "section", text: { type: "mrkdwn", text: "*❌ SLOs Below Target (Action Required)*" } });
+
+      for (const slo of listedSlos) {
+        const name = slo.url ? "<" + slo.url + "|" + escapeSlack(slo.name) + ">" : escapeSlack(slo.name);
+        blocks.push({
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: slo.statusEmoji + " *" + name + "* " + getSeverityEmoji(slo.severity) + "\n" + describeSlo(summary, slo)
+          }
+        });
+      }
+
+      if (hiddenSloCount > 0) {
+        blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: "+" + hiddenSloCount + " more failing SLO(s) - see the dashboard" }] });
+      }
+    }
+
+    // Burn-rate alerts not covered above
+    if (extraAlerts.length > 0) {
+      blocks.push({ type: "divider" });
+      blocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "*🔥 Error Budget Burn Alerts*\n" + extraAlerts.map(slo =>
+            getSeverityEmoji(slo.severity) + " " + (slo.url ? "<" + slo.url + "|" + escapeSlack(slo.name) + ">" : escapeSlack(slo.name)) +
+            " - " + escapeSlack(slo.rules.join(", "))
+          ).join("\n")
+        }
+      });
+    }
+
+    // Compact passing count and links
+    blocks.push({ type: "divider" });
+    blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: passingLine }] });
+    if (links.length > 0) {
+      blocks.push({
+        type: "actions",
+        elements: links.map(item => ({ type: "button", text: { type: "plain_text", text: item.title }, url: item.url }))
+      });
+    }
+
+    return {
+      // Fallback text for notifications
+      text: summary.title + " - " + summary.subtitle + ": " + summary.breachStatus + " (" + summary.totals.failing + " failing)",
+      blocks: blocks
+    };
+  };
+
+  // ============================================
+  // TEAMS ADAPTIVE CARD
+  // ============================================
+  const buildTeamsMessage = (summary) => {
+    const { listedSlos, links, hiddenSloCount, extraAlerts, passingLine } = getMessageContent(summary);
+    const body = [];
+
+    body.push({ type: "TextBlock", text: summary.title + " - " + summary.subtitle, size: "Large", weight: "Bolder", wrap: true });
+    body.push({ type: "TextBlock", text: "Report Date: " + summary.reportDate, isSubtle: true, spacing: "None", wrap: true });
+
+    // Executive summary
+    body.push({
+      type: "FactSet",
+      facts: [
+        { title: "Overall Status", value: summary.breachStatus },
+        { title: "Burn-Rate Severity", value: summary.severityStatus },
+        { title: "Failing", value: summary.totals.failing + (summary.totals.failing > 0 ? " ❌" : "") },
+        { title: "Passing", value: summary.totals.passing + " ✅" }
+      ]
+    });
+
+    // Failing SLOs
+    if (listedSlos.length > 0) {
+      body.push({ type: "TextBlock", text: "❌ SLOs Below Target (Action Required)", weight: "Bolder", separator: true, wrap: true });
+
+      for (const slo of listedSlos) {
+        const name = slo.url ? "[" + escapeTeams(slo.name) + "](" + slo.url + ")" : slo.name;
+        body.push({ type: "TextBlock", text: slo.statusEmoji + " **" + name + "** " + getSeverityEmoji(slo.severity), wrap: true });
+        body.push({ type: "TextBlock", text: describeSlo(summary, slo), isSubtle: true, spacing: "None", wrap: true });
+      }
+
+      if (hiddenSloCount > 0) {
+        body.push({ type: "TextBlock", text: "+" + hiddenSloCount + " more failing SLO(s) - see the dashboard", isSubtle: true, wrap: true });
+      }
+    }
+
+    // Burn-rate alerts not covered above
+    if (extraAlerts.length > 0) {
+      body.push({ type: "TextBlock", text: "🔥 Error Budget Burn Alerts", weight: "Bolder", separator: true, wrap: true });
+      for (const slo of extraAlerts) {
+        const name = slo.url ? "[" + escapeTeams(slo.name) + "](" + slo.url + ")" : slo.name;
+        body.push({ type: "TextBlock", text: getSeverityEmoji(slo.severity) + " " + name + " - " + slo.rules.join(", "), wrap: true });
+      }
+    }
+
+    // Compact passing count
+    body.push({ type: "TextBlock", text: passingLine, isSubtle: true, separator: true, wrap: true });
+
+    const card = {
+      $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+      type: "AdaptiveCard",
+      version: "1.4",
+      msteams: { width: "Full" },
+      body: body
+    };
+    if (links.length > 0) {
+      card.actions = links.map(item => ({ type: "Action.OpenUrl", title: item.title, url: item.url }));
+    }
+
+    return {
+      type: "message",
+      attachments: [
+        {
+          contentType: "application/vnd.microsoft.card.adaptive",
+          content: card
+        }
+      ]
+    };
+  };
+
+  const messageBuilders = {
+    slack: buildSlackMessage,
+    teams: buildTeamsMessage
+  };
+
+  if (summaries.some(summary => !summary)) {
+    console.error("build_markdown_email returned no summary");
+    return { status: "error", reason: "build_markdown_email returned no summary", sent: [], errors: [] };
+  }
+
+  // ============================================
+  // SEND
+  // ============================================
+  if (chatChannels.length === 0) {
+    console.log("No chat channels configured. Skipping chat delivery.");
+    return { status: "skipped", reason: "No chat channels configured", sent: [], errors: [] };
+  }
+
+  const summariesToSend = summaries.filter(summary => sendWhen !== "breach" || summary.totals.failing > 0 || summary.alerting.length > 0);
+  if (summariesToSend.length === 0) {
+    console.log("No failing SLOs or burn-rate alerts. Skipping chat delivery.");
+    return { status: "skipped", reason: "No breach", sent: [], errors: [] };
+  }
+
+  const sent = [];
+  const errors = [];
+
+  for (const channel of chatChannels) {
+    const buildMessage = messageBuilders[channel.type];
+    if (!buildMessage) {
+      errors.push({ type: channel.type, reason: "Unknown chat channel type '" + channel.type + "'. Options: " + Object.keys(messageBuilders).join(", ") });
+      continue;
+    }
+
+    // Retrieve webhook URL from Credential Vault
+    let webhookUrl;
+    try {
+      console.log("Retrieving " + channel.type + " webhook from Credential Vault...");
+      const credential = await credentialVaultClient.getCredentialsDetails({ id: channel.credentialId });
+      webhookUrl = credential.token;
+    } catch (error) {
+      console.error("Failed to retrieve webhook: " + error.message);
+      errors.push({ type: channel.type, reason: "Failed to retrieve " + channel.type + " webhook from Credential Vault. Verify credential ID: " + channel.credentialId });
+      continue;
+    }
+
+    if (!webhookUrl) {
+      errors.push({ type: channel.type, reason: channel.type + " webhook credential retrieved but token is empty" });
+      continue;
+    }
+
+    for (const summary of summariesToSend) {
+      // Sent entries name the domain when there are several
+      const target = summaries.length > 1 ? channel.type + ":" + summary.domainId : channel.type;
+
+      try {
+        const response = await fetch(webhookUrl, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(buildMessage(summary))
+        });
+
+        if (!response.ok) {
+          const errorText = await response.text();
+          console.error(target + " webhook error: " + response.status);
+          console.error("Response: " + errorText);
+          errors.push({ type: channel.type, domain: summary.domainId, reason: target + " webhook returned " + response.status + ": " + errorText });
+          continue;
+        }
+
+        console.log("Report posted to " + target);
+        sent.push(target);
+      } catch (error) {
+        console.error("Failed to post to " + target + ": " + error.message);
+        errors.push({ type: channel.type, domain: summary.domainId, reason: error.message });
+      }
+    }
+  }
+
+  // ============================================
+  // RETURN SUMMARY
+  // ============================================
+  console.log("Sent: " + sent.length + ", Errors: " + errors.length);
+
+  return {
+    status: errors.length === 0 ? "success" : (sent.length > 0 ? "partial" : "error"),
+    reason: errors.length > 0 ? errors.map(e => e.reason).join(" | ") : undefined,
+    sent: sent,
+    errors: errors
+  };
+}
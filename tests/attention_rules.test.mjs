@@ -0,0 +1,47 @@
+// ============================================
+// Tests for the USER ACTION ATTENTION RULES section of
+// 2_build_markdown_email.js
+//
+// Run: node --test tests/
+// ============================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSection } from './load_section.mjs';
+
+const USER_ACTION_COLUMN_DEFINITIONS = {
+  errorRate: { label: 'Errors / 1k Actions' },
+  p90Duration: { label: 'p90 Duration' },
+  apdex: { label: 'Apdex' }
+};
+
+const { describeRule, describeRules, getFiredMetrics } = loadSection(
+  '2_build_markdown_email.js', 'USER ACTION ATTENTION RULES', 'USER ACTION SEGMENTS',
+  ['describeRule', 'describeRules', 'getFiredMetrics'],
+  { USER_ACTION_COLUMN_DEFINITIONS: USER_ACTION_COLUMN_DEFINITIONS }
+);
+
+const RULES = [
+  { name: 'High error rate', metric: 'errorRate', operator: 'above', threshold: 10, baseline: 'none', minActions: 10 },
+  { name: 'Slow p90', metric: 'p90Duration', operator: 'above', threshold: 3000, baseline: 'none', minActions: 0 },
+  { name: 'Error rate above application', metric: 'errorRate', operator: 'above', threshold: 3, baseline: 'application', minActions: 50 },
+  { name: 'Low Apdex', metric: 'apdex', operator: 'below', threshold: 0.7, baseline: 'none', minActions: 0 }
+];
+
+test('describes rules with their limits in the unit of the metric', () => {
+  assert.equal(describeRule(RULES[0]), 'Errors / 1k Actions ≥ 10 (10+ actions)');
+  assert.equal(describeRule(RULES[1]), 'p90 Duration ≥ 3s');
+  assert.equal(describeRule(RULES[2]), 'Errors / 1k Actions ≥ 3x the application median (50+ actions)');
+  assert.equal(describeRule(RULES[3]), 'Apdex ≤ 0.7');
+});
+
+test('describes an SLO override with its own limit', () => {
+  const rules = [Object.assign({}, RULES[1], { threshold: 15000 }), RULES[3]];
+  assert.equal(describeRules(rules), 'p90 Duration ≥ 15s OR Apdex ≤ 0.7');
+});
+
+test('marks the metrics of the rules that fired', () => {
+  const slo = { attentionRules: RULES };
+  assert.deepEqual(getFiredMetrics(slo, { firedRules: ['Slow p90', 'Low Apdex'] }), ['p90Duration', 'apdex']);
+  assert.deepEqual(getFiredMetrics(slo, { firedRules: [] }), []);
+});
@@ -0,0 +1,69 @@
+// ============================================
+// Tests for the error budget forecast of
+// 1_fetch_slo_data.js (FETCH DAILY SLO SERIES)
+//
+// Run: node --test tests/
+// ============================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSection } from './load_section.mjs';
+
+const { calcBurnRate } = loadSection(
+  '1_fetch_slo_data.js',
+  'Helper to calculate how fast the error budget is being consumed',
+  'Days per unit of an SLO timeframe',
+  ['calcBurnRate']
+);
+
+const { forecastErrorBudget } = loadSection(
+  '1_fetch_slo_data.js',
+  "Helper to forecast an SLO's error budget from its daily series",
+  'Days of daily status create_tickets needs to auto-resolve tickets (0 = none)',
+  ['forecastErrorBudget'],
+  { calcBurnRate: calcBurnRate, budgetForecast: { rateDays: 3 }, DAY_MS: 24 * 60 * 60 * 1000 }
+);
+
+// Helper to build a daily series from daily statuses, oldest day first
+const toSeries = (statuses) => statuses.map((status, index) => ({ date: 'day ' + (index + 1), status: status }));
+
+// 10-day window of a 99% SLO: a day at 98% (burn rate 2) consumes 20% of the budget,
+// the forecast averages the last 3 days
+const WINDOW_DAYS = 10;
+const TARGET = 99;
+
+test('a steady burn within the budget never runs out', () => {
+  const budget = forecastErrorBudget(toSeries(Array(10).fill(99.5)), TARGET, WINDOW_DAYS);
+  assert.equal(Math.round(budget.remaining), 50);
+  assert.equal(budget.daysToExhaustion, null);
+  assert.equal(budget.atRisk, false);
+});
+
+test('bad days leaving the rolling window free budget again', () => {
+  // 75% consumed by the 3 oldest days, 5% per day recently
+  const budget = forecastErrorBudget(toSeries([97.5, 97.5, 97.5, 100, 100, 100, 100, 99.5, 99.5, 99.5]), TARGET, WINDOW_DAYS);
+  // A fixed window would run out in 10 / 5 = 2 days; the rolling window never does
+  assert.equal(Math.round(budget.remaining), 10);
+  assert.equal(budget.daysToExhaustion, null);
+  assert.equal(budget.atRisk, false);
+});
+
+test('a recent burn faster than the days leaving the window runs out', () => {
+  const budget = forecastErrorBudget(toSeries([100, 100, 100, 100, 100, 100, 100, 98, 98, 98]), TARGET, WINDOW_DAYS);
+  // 60% consumed, 20% more per day, nothing leaving the window
+  assert.equal(Math.round(budget.remaining), 40);
+  assert.equal(budget.daysToExhaustion, 2);
+  assert.equal(budget.atRisk, true);
+});
+
+test('an overspent budget is exhausted', () => {
+  const budget = forecastErrorBudget(toSeries(Array(10).fill(98)), TARGET, WINDOW_DAYS);
+  assert.equal(budget.exhausted, true);
+  assert.equal(budget.daysToExhaustion, 0);
+  assert.equal(budget.atRisk, true);
+});
+
+test('no forecast without data or budget', () => {
+  assert.equal(forecastErrorBudget(toSeries([null, null]), TARGET, WINDOW_DAYS), null);
+  assert.equal(forecastErrorBudget(toSeries([100, 100]), 100, WINDOW_DAYS), null);
+});
@@ -0,0 +1,23 @@
+// ============================================
+// Loads one section of a task script for the tests
+//
+// The task scripts are pasted into Dynatrace as they are,
+// so their helpers aren't exported: the lines from one
+// comment line (e.g. a section banner) to the next one
+// named are evaluated on their own and the listed
+// helpers returned.
+// ============================================
+
+import { readFileSync } from 'node:fs';
+
+export const loadSection = (file, fromLine, toLine, names, context) => {
+  const script = readFileSync(new URL('../' + file, import.meta.url), 'utf8');
+  const start = script.indexOf('  // ' + fromLine + '\n');
+  const end = script.indexOf('  // ' + toLine + '\n', start);
+  if (start < 0 || end < start) throw new Error('Section ' + fromLine + ' not found in ' + file);
+
+  // context: values of the script's variables the section uses
+  const section = script.slice(script.lastIndexOf('\n', start), script.lastIndexOf('\n', end));
+  const variables = Object.assign({}, context);
+  return new Function(...Object.keys(variables), section + '\nreturn { ' + names.join(', ') + ' };')(...Object.values(variables));
+};
@@ -0,0 +1,83 @@
+// ============================================
+// Tests for the METRIC EXPRESSION PARSER section of
+// 1_fetch_slo_data.js
+//
+// Run: node --test tests/
+// ============================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSection } from './load_section.mjs';
+
+const { tokenize, parseMetricFilter, getEntityFilterServiceIds, getUserActionNames } = loadSection(
+  '1_fetch_slo_data.js', 'METRIC EXPRESSION PARSER', 'HELPER FUNCTIONS',
+  ['tokenize', 'parseMetricFilter', 'getEntityFilterServiceIds', 'getUserActionNames']
+);
+
+// Helper to wrap an entity selector in a user action metric expression
+const userActionExpression = (selector) =>
+  'builtin:apps.web.action.count:filter(in("dt.entity.application_method",entitySelector("' + selector + '")))';
+
+test('metric expressions unescape ~" and ~~ in strings', () => {
+  assert.deepEqual(tokenize('eq("a~"b~~c")', false).map(t => t.value), ['eq', undefined, 'a"b~c', undefined]);
+});
+
+test('metric expressions unescape \\" in strings', () => {
+  assert.deepEqual(tokenize('eq("a\\"b")', false).map(t => t.value), ['eq', undefined, 'a"b', undefined]);
+});
+
+test('entity selectors unescape ~" in strings', () => {
+  assert.deepEqual(tokenize('entityName("a~"b")', true).map(t => t.value), ['entityName', undefined, 'a"b', undefined]);
+});
+
+test('reads a service selector quoted with ~"', () => {
+  const filter = parseMetricFilter('builtin:service.errors.total.rate:filter(in("dt.entity.service",entitySelector("type(~"SERVICE~"),entityId(~"SERVICE-1~")")))');
+  assert.equal(filter.error, null);
+  assert.deepEqual(filter.serviceIds, ['SERVICE-1']);
+});
+
+test('reads a service selector quoted with \\"', () => {
+  const filter = parseMetricFilter('builtin:service.errors.total.rate:filter(in("dt.entity.service",entitySelector("type(\\"SERVICE\\"),entityId(\\"SERVICE-1\\")")))');
+  assert.equal(filter.error, null);
+  assert.deepEqual(filter.serviceIds, ['SERVICE-1']);
+});
+
+test('reads user action patterns quoted with ~"', () => {
+  const filter = parseMetricFilter(userActionExpression('type(application_method),entityName.contains(~"checkout~")'));
+  assert.equal(filter.error, null);
+  assert.deepEqual(filter.userActions, [{ include: true, match: 'contains', value: 'checkout' }]);
+});
+
+test('reads the same user actions from both escape forms', () => {
+  const tilde = parseMetricFilter(userActionExpression('type(application_method),entityName.in(~"click on Pay~",~"loading of page /checkout~")'));
+  const backslash = parseMetricFilter(userActionExpression('type(application_method),entityName.in(\\"click on Pay\\",\\"loading of page /checkout\\")'));
+  assert.equal(tilde.error, null);
+  assert.deepEqual(tilde, backslash);
+  assert.deepEqual(getUserActionNames(tilde), ['click on Pay', 'loading of page /checkout']);
+});
+
+test('reads quotes inside names in both escape forms', () => {
+  const tilde = parseMetricFilter(userActionExpression('entityName.equals(~"click on ~~~"Pay~~~"~")'));
+  const backslash = parseMetricFilter(userActionExpression('entityName.equals(\\"click on ~\\"Pay~\\"\\")'));
+  assert.equal(tilde.error, null);
+  assert.deepEqual(getUserActionNames(tilde), ['click on "Pay"']);
+  assert.deepEqual(tilde, backslash);
+});
+
+test('reads excluded actions of a ~" selector', () => {
+  const filter = parseMetricFilter(userActionExpression('entityName.startsWith(~"loading~"),not(entityName.equals(~"loading of page /~"))'));
+  assert.equal(filter.error, null);
+  assert.deepEqual(filter.userActions, [
+    { include: true, match: 'startsWith', value: 'loading' },
+    { include: false, match: 'equals', value: 'loading of page /' }
+  ]);
+});
+
+test('reports unterminated strings', () => {
+  assert.match(parseMetricFilter('builtin:x:filter(eq("dt.entity.application_method","a))').error, /unterminated string/);
+  assert.match(parseMetricFilter(userActionExpression('entityName.equals(~"a)')).error, /unterminated string/);
+});
+
+test('reads service IDs of entity filters', () => {
+  assert.deepEqual(getEntityFilterServiceIds('type("SERVICE"),entityId("SERVICE-1","SERVICE-2")'), ['SERVICE-1', 'SERVICE-2']);
+});
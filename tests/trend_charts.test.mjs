@@ -0,0 +1,30 @@
+// ============================================
+// Tests for the TREND CHARTS section of
+// 2_build_markdown_email.js
+//
+// Run: node --test tests/
+// ============================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSection } from './load_section.mjs';
+
+const { buildSparkline, buildHtmlSparkline } = loadSection(
+  '2_build_markdown_email.js', 'TREND CHARTS', 'TREND CALCULATION',
+  ['buildSparkline', 'buildHtmlSparkline']
+);
+
+test('days below target use the lowest bars, days meeting it the highest', () => {
+  assert.equal(buildSparkline([98, 99, 100, 99.5, 95], 99), '▃▄█▆▁');
+});
+
+test('days without data are dots', () => {
+  assert.equal(buildSparkline([99.5, null, 99.5], 99), '█·█');
+});
+
+test('HTML sparklines color only the days below target', () => {
+  const html = buildHtmlSparkline([100, 95, null], 99);
+  assert.match(html, /title="3 days, 1 below target"/);
+  assert.match(html, />█<span style="color:#cf222e;">▁<\/span>·</);
+  assert.doesNotMatch(html, /<svg/);
+});